@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Compare every Stripe customer's subscription state with Stripe and fix drift
+// Usage: node scripts/reconcile-stripe.js [--dry-run]
+const { createStore } = require('../storage');
+const { createCatalog } = require('../services/catalog');
+const { createAuditLog } = require('../services/audit');
+const { createReconciler } = require('../services/reconciliation');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    if (!process.env.STRIPE_SECRET_KEY) {
+        console.error('STRIPE_SECRET_KEY is not set');
+        process.exit(1);
+    }
+
+    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    const store = createStore();
+    const reconciler = createReconciler({
+        store,
+        stripe,
+        catalog: createCatalog({ store }),
+        audit: createAuditLog({ store })
+    });
+
+    const report = await reconciler.run({ dryRun, actor: 'reconcile-script' });
+
+    for (const { username, changes } of report.changed) {
+        console.log(`${dryRun ? '~' : '✅'} ${username}`);
+        for (const [field, { from, to }] of Object.entries(changes)) {
+            console.log(`    ${field}: ${from} -> ${to}`);
+        }
+    }
+    for (const { username, message } of report.errors) {
+        console.error(`❌ ${username}: ${message}`);
+    }
+
+    console.log(`${report.checked} checked, ${report.changed.length} ${dryRun ? 'would change' : 'fixed'}, ${report.errors.length} errors`);
+    process.exit(report.errors.length ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('❌ Reconciliation failed:', error);
+    process.exit(1);
+});
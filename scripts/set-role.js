@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// Assign a role to an existing account - used to bootstrap the first admin
+// Usage: node scripts/set-role.js <username> <user|support|admin>
+const { createStore } = require('../storage');
+const { ROLES } = require('../services/roles');
+
+async function main() {
+    const [username, role] = process.argv.slice(2);
+
+    if (!username || !ROLES.includes(role)) {
+        console.error(`Usage: node scripts/set-role.js <username> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    const usersCollection = createStore().collection('users');
+    const user = await usersCollection.findOne([['username', '==', username]]);
+
+    if (!user) {
+        console.error(`User "${username}" not found`);
+        process.exit(1);
+    }
+
+    await usersCollection.update(user.id, { role });
+    console.log(`✅ ${username} is now ${role}`);
+    process.exit(0);
+}
+
+main().catch((error) => {
+    console.error('❌ Failed to set role:', error);
+    process.exit(1);
+});
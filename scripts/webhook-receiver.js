@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Minimal webhook endpoint for trying out outbound webhooks locally - verifies the signature
+// and prints each event. Register http://localhost:<port>/ in the admin panel.
+// Usage: WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port] [--fail]
+//   --fail answers every delivery with HTTP 500, to watch the retries
+const http = require('http');
+const crypto = require('crypto');
+const { signPayload } = require('../services/webhooks');
+
+// Deliveries signed longer ago than this are treated as replays
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+function verifySignature(secret, header, body) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > TIMESTAMP_TOLERANCE_SECONDS) {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const given = Buffer.from(parts.v1);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function main() {
+    const secret = process.env.WEBHOOK_SECRET;
+    const args = process.argv.slice(2);
+    const port = Number(args.find(arg => /^\d+$/.test(arg))) || 4000;
+    const fail = args.includes('--fail');
+
+    if (!secret) {
+        console.error('WEBHOOK_SECRET is not set - use the secret shown when the endpoint was registered');
+        process.exit(1);
+    }
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+
+            if (req.method !== 'POST' || !verifySignature(secret, req.headers['x-webhook-signature'], body)) {
+                console.error(`❌ Rejected ${req.method} ${req.url} - bad or missing signature`);
+                res.writeHead(401).end();
+                return;
+            }
+
+            const event = JSON.parse(body);
+            console.log(`${fail ? '⚠️' : '✅'} ${event.type} ${event.id}`);
+            console.log(JSON.stringify(event.data, null, 2));
+            res.writeHead(fail ? 500 : 200).end();
+        });
+    });
+
+    server.listen(port, () => {
+        console.log(`🪝 Listening for webhooks on http://localhost:${port}/${fail ? ' (failing every delivery)' : ''}`);
+    });
+}
+
+main();
@@ -2,21 +2,102 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const session = require('express-session');
 const path = require('path');
-const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { createStore, increment } = require('./storage');
+const { createLicenseTokenService } = require('./services/licenseTokens');
+const { getSeatLimit, getDevices, getDeactivationCooldownEnd } = require('./services/devices');
+const { getGraceEnd, isGraceExpired, evaluateLicense } = require('./services/licenses');
+const { generateLicenseKey, normalizeLicenseKey, getRedemptionUpdates } = require('./services/licenseKeys');
+const { getUnusedCredit } = require('./services/billing');
+const { createPromoCodes, describeDiscount, getPendingReservations } = require('./services/promoCodes');
+const { createTrials } = require('./services/trials');
+const { createReconciler } = require('./services/reconciliation');
+const { createAnalytics } = require('./services/analytics');
+const { CHANNELS, isValidVersion, compareVersions, createReleaseService } = require('./services/releases');
+const { toCsv } = require('./services/csv');
+const { createAuditLog, MAX_QUERY_LIMIT } = require('./services/audit');
+const { createCatalog } = require('./services/catalog');
+const { createAuthLimiter, sendTooManyRequests } = require('./services/rateLimit');
+const { createClientSessionService, getSessionLimit, isLive } = require('./services/clientSessions');
+const { createMailer } = require('./services/mail');
+const { createAccountTokenService } = require('./services/accountTokens');
+const { createWebSessionStore, hashSessionId } = require('./services/webSessions');
+const { SCOPES, createApiKeyService } = require('./services/apiKeys');
+const { EVENTS: WEBHOOK_EVENTS, createWebhookService } = require('./services/webhooks');
+const { SEVERITIES, AUDIENCES, STATUSES: ANNOUNCEMENT_STATUSES, createAnnouncements } = require('./services/announcements');
+const { STAFF_ROLES, getRole } = require('./services/roles');
+const { RESTRICTION_TYPES, getActiveRestriction, describeRestriction } = require('./services/accountRestrictions');
+const { createUserDirectory, SORT_FIELDS, MAX_PAGE_SIZE, MAX_EXPORT_ROWS } = require('./services/userDirectory');
+const { passwordPolicy, hashPassword, verifyPassword, validatePassword } = require('./services/passwords');
+const { generateSecret, verifyCode, buildOtpAuthUri, hashRecoveryCode, generateRecoveryCodes } = require('./services/totp');
+const QRCode = require('qrcode');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Firebase Admin SDK
-const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
+// Public URL used in emailed links - never derived from request headers
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
 
-admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount)
-});
+// EMAIL_REQUIRED=true makes an email address mandatory at signup
+const EMAIL_REQUIRED = process.env.EMAIL_REQUIRED === 'true';
+
+// Accounts that must enroll in two-factor authentication before using the dashboard,
+// by role (TWO_FACTOR_REQUIRED_ROLES=admin,support) or username (TWO_FACTOR_REQUIRED_USERS)
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(v => v.trim()).filter(Boolean);
+const TWO_FACTOR_REQUIRED_USERS = (process.env.TWO_FACTOR_REQUIRED_USERS || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// How long the code step of a web login may take after the password was accepted
+const TWO_FACTOR_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Signs the dashboard session cookie. The development fallback is public, so production
+// refuses to start without a real SESSION_SECRET.
+const DEV_SESSION_SECRET = 'cursed-secret-key-change-in-production';
+const SESSION_SECRET = process.env.SESSION_SECRET || DEV_SESSION_SECRET;
+if (process.env.NODE_ENV === 'production' && (SESSION_SECRET === DEV_SESSION_SECRET || SESSION_SECRET.length < 32)) {
+    console.error('❌ SESSION_SECRET must be set to a random string of at least 32 characters in production');
+    process.exit(1);
+}
+
+// Encrypts the license signing keys at rest. Keep it stable - keys stored under one secret
+// can't be used with another. Production refuses the public development fallback.
+const DEV_LICENSE_KEY_SECRET = 'cursed-license-key-secret-change-in-production';
+const LICENSE_KEY_SECRET = process.env.LICENSE_KEY_SECRET || DEV_LICENSE_KEY_SECRET;
+if (process.env.NODE_ENV === 'production' && (LICENSE_KEY_SECRET === DEV_LICENSE_KEY_SECRET || LICENSE_KEY_SECRET.length < 32)) {
+    console.error('❌ LICENSE_KEY_SECRET must be set to a random string of at least 32 characters in production');
+    process.exit(1);
+}
+
+// Behind a reverse proxy, set TRUST_PROXY (hop count or addresses) so req.ip is the real client IP
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
-const db = admin.firestore();
-const usersCollection = db.collection('users');
+// Initialize storage (Firestore by default, STORAGE_BACKEND=local for an offline JSON file)
+const store = createStore();
+const usersCollection = store.collection('users');
+const webhookEventsCollection = store.collection('webhookEvents');
+const licenseKeyBatchesCollection = store.collection('licenseKeyBatches');
+const licenseKeysCollection = store.collection('licenseKeys');
+const licenseTokens = createLicenseTokenService({ store, encryptionSecret: LICENSE_KEY_SECRET });
+const catalog = createCatalog({ store });
+const audit = createAuditLog({ store });
+const clientSessions = createClientSessionService({ store });
+const accountTokens = createAccountTokenService({ store });
+const webSessions = createWebSessionStore({ store });
+const apiKeys = createApiKeyService({ store });
+const webhooks = createWebhookService({ store });
+const announcements = createAnnouncements({ store });
+const userDirectory = createUserDirectory({ store });
+const reconciler = createReconciler({ store, stripe, catalog, audit });
+const analytics = createAnalytics({ store, catalog });
+const promoCodes = createPromoCodes({ store });
+const trials = createTrials({ store });
+const releases = createReleaseService({ store, dir: process.env.RELEASES_DIR || path.join(__dirname, 'data', 'releases') });
+const mailer = createMailer();
+// In-memory counters; pass { store } with a shared counter store when running several instances
+const authLimiter = createAuthLimiter();
 
 // ==================== STRIPE WEBHOOK (MUST BE BEFORE bodyParser) ====================
 // This MUST be defined before app.use(bodyParser.json()) because Stripe needs raw body for signature verification
@@ -41,32 +122,15 @@ app.post('/api/stripe/webhook', bodyParser.raw({ type: 'application/json' }), as
     // Handle the event
     try {
         console.log(`📩 Event type: ${event.type}`);
-        
-        switch (event.type) {
-            case 'checkout.session.completed':
-                await handleCheckoutSessionCompleted(event.data.object);
-                break;
-            
-            case 'customer.subscription.updated':
-                await handleSubscriptionUpdated(event.data.object);
-                break;
-            
-            case 'customer.subscription.deleted':
-                await handleSubscriptionDeleted(event.data.object);
-                break;
-            
-            case 'invoice.payment_succeeded':
-                await handlePaymentSucceeded(event.data.object);
-                break;
-            
-            case 'invoice.payment_failed':
-                await handlePaymentFailed(event.data.object);
-                break;
 
-            default:
-                console.log(`ℹ️ Unhandled event type ${event.type}`);
+        // Stripe retries deliveries - skip events we've already handled or are handling
+        if (!(await claimStripeEvent(event))) {
+            console.log(`↩️ Duplicate event ${event.id} skipped`);
+            return res.json({ received: true, duplicate: true });
         }
 
+        await processStripeEvent(event);
+
         res.json({ received: true });
     } catch (error) {
         console.error('❌ Webhook handler error:', error);
@@ -74,8 +138,141 @@ app.post('/api/stripe/webhook', bodyParser.raw({ type: 'application/json' }), as
     }
 });
 
+// An event stuck in 'processing' this long is assumed to have crashed mid-way
+const EVENT_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+function canReprocessEvent(record) {
+    if (record.status === 'failed') return true;
+    if (record.status === 'processing') {
+        return Date.now() - new Date(record.updatedAt).getTime() > EVENT_PROCESSING_TIMEOUT_MS;
+    }
+    return false;
+}
+
+// Log a new event as 'processing', or take a failed or stuck one back. create() and the
+// conditional update mean two concurrent deliveries of the same event can't both claim it.
+// Returns false when the event is already handled or someone else is handling it.
+async function claimStripeEvent(event) {
+    const object = event.data.object;
+    const now = new Date().toISOString();
+    const created = await webhookEventsCollection.create(event.id, {
+        type: event.type,
+        created: new Date(event.created * 1000).toISOString(),
+        summary: {
+            objectId: object.id || null,
+            customer: object.customer || null,
+            status: object.status || null,
+            amount: object.amount_paid ?? object.amount_total ?? null
+        },
+        payload: event,
+        attempts: 1,
+        receivedAt: now,
+        updatedAt: now,
+        status: 'processing',
+        error: null
+    });
+    if (created) return true;
+
+    const existing = await webhookEventsCollection.get(event.id);
+    return Boolean(existing) && canReprocessEvent(existing) && retakeStripeEvent(existing);
+}
+
+// Move a logged event back to 'processing', unless it changed since it was read
+async function retakeStripeEvent(record) {
+    const claimed = await webhookEventsCollection.updateIf(record.id, [
+        ['status', '==', record.status],
+        ['updatedAt', '==', record.updatedAt]
+    ], {
+        attempts: increment(1),
+        updatedAt: new Date().toISOString(),
+        status: 'processing',
+        error: null
+    });
+    return Boolean(claimed);
+}
+
+// Run a claimed event through its handler and record the outcome in the event log
+// Status: processing -> processed | stale | unhandled | failed
+async function processStripeEvent(event) {
+    try {
+        const status = await dispatchStripeEvent(event);
+        await webhookEventsCollection.update(event.id, {
+            status,
+            updatedAt: new Date().toISOString(),
+            processedAt: new Date().toISOString()
+        });
+        return status;
+    } catch (error) {
+        await webhookEventsCollection.update(event.id, {
+            status: 'failed',
+            error: error.message,
+            updatedAt: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function dispatchStripeEvent(event) {
+    let result;
+
+    switch (event.type) {
+        case 'checkout.session.completed':
+            result = await handleCheckoutSessionCompleted(event.data.object, event);
+            break;
+
+        case 'checkout.session.expired':
+            result = await handleCheckoutSessionExpired(event.data.object);
+            break;
+        
+        case 'customer.subscription.updated':
+            result = await handleSubscriptionUpdated(event.data.object, event);
+            break;
+        
+        case 'customer.subscription.deleted':
+            result = await handleSubscriptionDeleted(event.data.object, event);
+            break;
+        
+        case 'invoice.payment_succeeded':
+            result = await handlePaymentSucceeded(event.data.object, event);
+            break;
+        
+        case 'invoice.payment_failed':
+            result = await handlePaymentFailed(event.data.object, event);
+            break;
+
+        default:
+            console.log(`ℹ️ Unhandled event type ${event.type}`);
+            return 'unhandled';
+    }
+
+    return result || 'processed';
+}
+
+// Events can arrive out of order - an event older than the last one applied to
+// this user's subscription must not overwrite newer state
+function isStaleEvent(user, event) {
+    const lastEventCreated = user.subscription?.lastEventCreated;
+    if (lastEventCreated && event.created < lastEventCreated) {
+        console.log(`⏭️ Stale event ${event.id} (${event.type}) ignored for user ${user.id}`);
+        return true;
+    }
+    return false;
+}
+
+// After an upgrade the old subscription's final events still arrive - they no longer
+// describe this user's license
+function isReplacedSubscription(user, subscription) {
+    const { stripeSubscriptionId, replacedSubscriptionId } = user.subscription || {};
+    if (subscription.id === replacedSubscriptionId || (stripeSubscriptionId && stripeSubscriptionId !== subscription.id)) {
+        console.log(`⏭️ Event for replaced subscription ${subscription.id} ignored for user ${user.id}`);
+        return true;
+    }
+    return false;
+}
+
 // Webhook handler functions
-async function handleCheckoutSessionCompleted(session) {
+// Each returns 'stale' when the event was ignored, anything else counts as processed
+async function handleCheckoutSessionCompleted(session, event) {
     const userId = session.metadata.userId;
     const packageType = session.metadata.packageType;
     
@@ -83,17 +280,45 @@ async function handleCheckoutSessionCompleted(session) {
     console.log(`💳 Customer ID: ${session.customer}`);
     
     try {
+        const user = await getUserById(userId);
+        if (user && isStaleEvent(user, event)) {
+            return 'stale';
+        }
+
         const updates = {
             'subscription.status': 'active',
             'subscription.package': packageType,
             'subscription.stripeCustomerId': session.customer,
-            'subscription.activatedAt': admin.firestore.FieldValue.serverTimestamp()
+            'subscription.source': 'stripe',
+            'subscription.activatedAt': new Date().toISOString(),
+            'subscription.lastEventCreated': event.created
         };
 
-        if (packageType === 'lifetime') {
-            // Lifetime purchase - no end date
+        if (session.mode === 'payment') {
+            // One-time (lifetime) purchase - no end date
             updates['subscription.currentPeriodEnd'] = null;
             console.log('📦 Type: Lifetime purchase');
+
+            // Upgrade from a subscription - its unused time was credited at checkout, so end it now
+            const replacedSubscriptionId = session.metadata.upgradeFromSubscription;
+            if (replacedSubscriptionId) {
+                await endReplacedSubscription(replacedSubscriptionId);
+                updates['subscription.stripeSubscriptionId'] = null;
+                updates['subscription.replacedSubscriptionId'] = replacedSubscriptionId;
+                updates['subscription.cancelAtPeriodEnd'] = false;
+                updates['subscription.cancelRequestedAt'] = null;
+                await audit.record({
+                    type: 'subscription.upgraded',
+                    actor: 'stripe',
+                    target: { id: userId, username: session.metadata.username },
+                    details: {
+                        package: packageType,
+                        replacedSubscription: replacedSubscriptionId,
+                        credit: Number(session.metadata.upgradeCredit) || 0,
+                        eventId: event.id
+                    }
+                });
+            }
         } else {
             // Monthly subscription
             updates['subscription.stripeSubscriptionId'] = session.subscription;
@@ -102,11 +327,55 @@ async function handleCheckoutSessionCompleted(session) {
             if (session.subscription) {
                 const subscription = await stripe.subscriptions.retrieve(session.subscription);
                 updates['subscription.currentPeriodEnd'] = new Date(subscription.current_period_end * 1000).toISOString();
+
+                // A free trial ends at current_period_end, when the first payment is taken
+                if (subscription.status === 'trialing') {
+                    updates['subscription.status'] = 'trialing';
+                    updates['subscription.trialEndsAt'] = new Date(subscription.trial_end * 1000).toISOString();
+                    updates.trialUsedAt = new Date().toISOString();
+                }
+            }
+            updates['subscription.cancelAtPeriodEnd'] = false;
+            updates['subscription.cancelRequestedAt'] = null;
+            console.log(`📦 Type: Monthly subscription${updates.trialUsedAt ? ' (free trial)' : ''}`);
+        }
+
+        await updateUser(userId, updates);
+
+        // Machines already activated count as having had this trial
+        if (user && updates.trialUsedAt) {
+            for (const device of getDevices(user)) {
+                await trials.claimDevice(user, device.hwid);
             }
-            console.log('📦 Type: Monthly subscription');
+            await audit.record({
+                type: 'trial.started',
+                actor: 'stripe',
+                target: user,
+                details: { package: packageType, trialEndsAt: updates['subscription.trialEndsAt'], eventId: event.id }
+            });
         }
 
-        await usersCollection.doc(userId).update(updates);
+        if (session.metadata.promoCode && await promoCodes.recordRedemption(session.metadata.promoCode, session.metadata.promoReservation)) {
+            await audit.record({
+                type: 'promo.redeemed',
+                actor: 'stripe',
+                target: { id: userId, username: session.metadata.username },
+                details: { code: session.metadata.promoCode, package: packageType, checkoutSession: session.id, eventId: event.id }
+            });
+        }
+        await audit.record({
+            type: 'subscription.activated',
+            actor: 'stripe',
+            target: { id: userId, username: session.metadata.username },
+            details: { package: packageType, eventId: event.id, checkoutSession: session.id }
+        });
+        emitWebhookEvent('license.activated', user || { id: userId, username: session.metadata.username }, {
+            package: packageType,
+            status: updates['subscription.status'],
+            source: 'stripe',
+            currentPeriodEnd: updates['subscription.currentPeriodEnd'] ?? null,
+            trialEndsAt: updates['subscription.trialEndsAt'] || null
+        });
         console.log(`✅ LICENSE ACTIVATED for user ${userId}`);
         console.log('📝 Updates applied:', JSON.stringify(updates, null, 2));
     } catch (error) {
@@ -115,70 +384,281 @@ async function handleCheckoutSessionCompleted(session) {
     }
 }
 
-async function handleSubscriptionUpdated(subscription) {
+// An abandoned checkout gives back the promo code use it was holding. Reservations also
+// lapse on their own when the session expires, this just frees the use without waiting.
+async function handleCheckoutSessionExpired(session) {
+    const { promoCode, promoReservation } = session.metadata || {};
+    if (!promoCode || !promoReservation) {
+        return 'unhandled';
+    }
+    await promoCodes.release(promoCode, promoReservation);
+    console.log(`🎟️ Released promo code ${promoCode} held by expired checkout ${session.id}`);
+}
+
+// Cancel a subscription immediately without a refund - safe to repeat when Stripe retries the event
+async function endReplacedSubscription(subscriptionId) {
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    if (subscription.status !== 'canceled') {
+        await stripe.subscriptions.cancel(subscriptionId, { prorate: false });
+        console.log(`🔁 Replaced subscription ${subscriptionId} ended`);
+    }
+}
+
+async function handleSubscriptionUpdated(subscription, event) {
     const customerId = subscription.customer;
     
     // Find user by customer ID
-    const snapshot = await usersCollection
-        .where('subscription.stripeCustomerId', '==', customerId)
-        .limit(1)
-        .get();
+    const user = await getUserByStripeCustomerId(customerId);
     
-    if (snapshot.empty) {
+    if (!user) {
         console.error('User not found for customer:', customerId);
         return;
     }
 
-    const userId = snapshot.docs[0].id;
+    if (isStaleEvent(user, event) || isReplacedSubscription(user, subscription)) {
+        return 'stale';
+    }
+
+    const userId = user.id;
     
+    // A pending cancellation keeps Stripe's status 'active' until the period ends
     const updates = {
         'subscription.status': subscription.status,
-        'subscription.currentPeriodEnd': new Date(subscription.current_period_end * 1000).toISOString()
+        'subscription.currentPeriodEnd': new Date(subscription.current_period_end * 1000).toISOString(),
+        'subscription.cancelAtPeriodEnd': !!subscription.cancel_at_period_end,
+        'subscription.lastEventCreated': event.created
     };
+    if (!subscription.cancel_at_period_end) {
+        updates['subscription.cancelRequestedAt'] = null;
+    }
+    if (subscription.status === 'trialing' && subscription.trial_end) {
+        updates['subscription.trialEndsAt'] = new Date(subscription.trial_end * 1000).toISOString();
+    }
+
+    // Keep dunning state consistent with Stripe's view of the subscription
+    if (subscription.status === 'past_due' && !user.subscription.graceEndsAt) {
+        updates['subscription.pastDueSince'] = new Date().toISOString();
+        updates['subscription.graceEndsAt'] = getGraceEnd();
+    } else if (subscription.status === 'unpaid') {
+        updates['subscription.status'] = 'suspended';
+    } else if (subscription.status === 'active') {
+        updates['subscription.pastDueSince'] = null;
+        updates['subscription.graceEndsAt'] = null;
+        updates['subscription.paymentUpdateUrl'] = null;
+    }
 
-    await usersCollection.doc(userId).update(updates);
+    await updateUser(userId, updates);
+    await audit.record({
+        type: 'subscription.updated',
+        actor: 'stripe',
+        target: user,
+        details: {
+            status: updates['subscription.status'],
+            currentPeriodEnd: updates['subscription.currentPeriodEnd'],
+            cancelAtPeriodEnd: updates['subscription.cancelAtPeriodEnd'],
+            eventId: event.id
+        }
+    });
+    // The first payment after a free trial went through
+    if (user.subscription.status === 'trialing' && subscription.status === 'active') {
+        await audit.record({
+            type: 'trial.converted',
+            actor: 'stripe',
+            target: user,
+            details: { package: user.subscription.package, eventId: event.id }
+        });
+    }
     console.log(`Subscription updated for user ${userId}`);
 }
 
-async function handleSubscriptionDeleted(subscription) {
+async function handleSubscriptionDeleted(subscription, event) {
     const customerId = subscription.customer;
     
-    const snapshot = await usersCollection
-        .where('subscription.stripeCustomerId', '==', customerId)
-        .limit(1)
-        .get();
+    const user = await getUserByStripeCustomerId(customerId);
     
-    if (snapshot.empty) {
+    if (!user) {
         console.error('User not found for customer:', customerId);
         return;
     }
 
-    const userId = snapshot.docs[0].id;
+    if (isStaleEvent(user, event) || isReplacedSubscription(user, subscription)) {
+        return 'stale';
+    }
+
+    const userId = user.id;
     
-    await usersCollection.doc(userId).update({
+    await updateUser(userId, {
         'subscription.status': 'cancelled',
-        'subscription.cancelledAt': new Date().toISOString()
+        'subscription.cancelledAt': new Date().toISOString(),
+        'subscription.cancelAtPeriodEnd': false,
+        'subscription.lastEventCreated': event.created
+    });
+    await audit.record({
+        type: 'subscription.cancelled',
+        actor: 'stripe',
+        target: user,
+        details: { eventId: event.id }
     });
+    emitWebhookEvent('license.cancelled', user, { package: user.subscription.package, source: 'stripe' });
     
     console.log(`Subscription cancelled for user ${userId}`);
 }
 
-async function handlePaymentSucceeded(invoice) {
+// A successful payment ends any dunning state and restores the license
+async function handlePaymentSucceeded(invoice, event) {
     console.log(`Payment succeeded for invoice ${invoice.id}`);
+
+    const user = await getUserByStripeCustomerId(invoice.customer);
+    if (!user) {
+        return;
+    }
+
+    if (isStaleEvent(user, event)) {
+        return 'stale';
+    }
+
+    if (!['past_due', 'suspended'].includes(user.subscription.status)) {
+        return;
+    }
+
+    const updates = {
+        'subscription.status': 'active',
+        'subscription.pastDueSince': null,
+        'subscription.graceEndsAt': null,
+        'subscription.paymentUpdateUrl': null,
+        'subscription.lastEventCreated': event.created
+    };
+
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+    if (periodEnd) {
+        updates['subscription.currentPeriodEnd'] = new Date(periodEnd * 1000).toISOString();
+    }
+
+    await updateUser(user.id, updates);
+    await audit.record({
+        type: 'license.restored',
+        actor: 'stripe',
+        target: user,
+        details: { invoice: invoice.id, eventId: event.id }
+    });
+    console.log(`✅ License restored for user ${user.id} after successful payment`);
 }
 
-async function handlePaymentFailed(invoice) {
+// A failed payment starts the grace period - the license keeps working until graceEndsAt
+async function handlePaymentFailed(invoice, event) {
     console.log(`Payment failed for invoice ${invoice.id}`);
     
     const customerId = invoice.customer;
-    const snapshot = await usersCollection
-        .where('subscription.stripeCustomerId', '==', customerId)
-        .limit(1)
-        .get();
+    const user = await getUserByStripeCustomerId(customerId);
     
-    if (!snapshot.empty) {
-        const userId = snapshot.docs[0].id;
-        console.log(`Payment failed for user ${userId}`);
+    if (!user) {
+        return;
+    }
+
+    if (isStaleEvent(user, event)) {
+        return 'stale';
+    }
+
+    // Only a failed renewal of the current subscription puts the license into dunning - an old or
+    // replaced subscription's invoice must not touch a cancelled, key-redeemed or lifetime license
+    const { stripeSubscriptionId, status } = user.subscription || {};
+    if (!invoice.subscription || invoice.subscription !== stripeSubscriptionId || !['active', 'past_due'].includes(status)) {
+        console.log(`⏭️ Failed invoice ${invoice.id} is not for user ${user.id}'s current subscription, ignored`);
+        return 'stale';
+    }
+
+    const alreadyPastDue = user.subscription.status === 'past_due' && user.subscription.graceEndsAt;
+    const graceEndsAt = alreadyPastDue ? user.subscription.graceEndsAt : getGraceEnd();
+
+    await updateUser(user.id, {
+        'subscription.status': 'past_due',
+        'subscription.pastDueSince': alreadyPastDue ? user.subscription.pastDueSince : new Date().toISOString(),
+        'subscription.graceEndsAt': graceEndsAt,
+        'subscription.paymentUpdateUrl': invoice.hosted_invoice_url || null,
+        'subscription.lastEventCreated': event.created
+    });
+
+    await audit.record({
+        type: 'payment.failed',
+        actor: 'stripe',
+        target: user,
+        outcome: 'failure',
+        details: { invoice: invoice.id, eventId: event.id }
+    });
+    emitWebhookEvent('payment.failed', user, {
+        package: user.subscription.package,
+        invoice: invoice.id,
+        paymentUpdateUrl: invoice.hosted_invoice_url || null,
+        graceEndsAt
+    });
+
+    console.log(`⚠️ Payment failed for user ${user.id} - license is past due`);
+}
+
+// Suspend past_due licenses whose grace period has run out
+async function suspendExpiredGracePeriods() {
+    try {
+        const pastDue = await usersCollection.find({ where: [['subscription.status', '==', 'past_due']] });
+
+        for (const user of pastDue) {
+            if (isGraceExpired(user.subscription)) {
+                await updateUser(user.id, { 'subscription.status': 'suspended' });
+                await audit.record({ type: 'license.suspended', target: user, reason: 'grace_period_ended' });
+                console.log(`⛔ License suspended for user ${user.id} - grace period ended`);
+            }
+        }
+    } catch (error) {
+        console.error('Grace period check error:', error);
+    }
+}
+
+// Fix subscription state that drifted from Stripe (e.g. after a missed webhook)
+// Runs every RECONCILE_INTERVAL_HOURS (default 6, 0 disables) - also available from
+// scripts/reconcile-stripe.js and POST /api/stripe/reconcile
+const RECONCILE_INTERVAL_HOURS = process.env.RECONCILE_INTERVAL_HOURS === undefined ? 6 : Number(process.env.RECONCILE_INTERVAL_HOURS);
+
+async function runScheduledReconciliation() {
+    try {
+        const report = await reconciler.run();
+        console.log(`🔄 Stripe reconciliation: ${report.checked} checked, ${report.changed.length} fixed, ${report.errors.length} errors`);
+        for (const { username, changes } of report.changed) {
+            console.log(`   ${username}: ${Object.entries(changes).map(([field, { from, to }]) => `${field} ${from} -> ${to}`).join(', ')}`);
+        }
+        for (const { username, message } of report.errors) {
+            console.error(`   ${username}: ${message}`);
+        }
+    } catch (error) {
+        console.error('Stripe reconciliation error:', error);
+    }
+}
+
+async function pruneWebSessions() {
+    try {
+        const pruned = await webSessions.pruneExpired();
+        if (pruned) {
+            console.log(`🧹 Removed ${pruned} expired web sessions`);
+        }
+    } catch (error) {
+        console.error('Web session cleanup error:', error);
+    }
+}
+
+// Send an event to the admin-registered webhook endpoints subscribed to it (see services/webhooks).
+// Fire and forget - a webhook problem never fails the request or Stripe event that caused it.
+function emitWebhookEvent(type, user, data = {}) {
+    const payload = {
+        user: { id: user.id, username: user.username, email: user.email || null },
+        ...data
+    };
+    webhooks.emit(type, payload).catch(error => console.error(`Webhook event ${type} error:`, error));
+}
+
+// Resend webhook deliveries whose retry time has come (every minute)
+async function processWebhookRetries() {
+    try {
+        await webhooks.processDue();
+    } catch (error) {
+        console.error('Webhook retry error:', error);
     }
 }
 
@@ -186,7 +666,8 @@ async function handlePaymentFailed(invoice) {
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(session({
-    secret: process.env.SESSION_SECRET || 'cursed-secret-key-change-in-production',
+    store: webSessions,
+    secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -197,42 +678,107 @@ app.use(session({
     }
 }));
 
+// Logged-in sessions remember the address they were last used from, for the session list
+app.use((req, res, next) => {
+    if (req.session.userId && req.session.ip !== req.ip) {
+        req.session.ip = req.ip;
+    }
+    next();
+});
+
+// Admin panel page - only served to staff (MUST COME BEFORE static files)
+app.get(['/admin', '/admin.html'], async (req, res) => {
+    if (!req.session.userId) {
+        return res.redirect('/login');
+    }
+
+    try {
+        const user = await loadSessionUser(req);
+        if (!user) {
+            return res.redirect('/login');
+        }
+        if (req.session.twoFactorSetupRequired) {
+            return res.redirect('/dashboard');
+        }
+        if (!STAFF_ROLES.includes(getRole(user))) {
+            return res.status(403).send('Forbidden');
+        }
+        res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+    } catch (error) {
+        console.error('Admin page error:', error);
+        res.status(500).send('Server error');
+    }
+});
+
 // Serve static files from public folder
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Helper functions
 async function getUserByUsername(username) {
-    const snapshot = await usersCollection.where('username', '==', username).limit(1).get();
-    if (snapshot.empty) return null;
-    
-    const doc = snapshot.docs[0];
-    return { id: doc.id, ...doc.data() };
+    return usersCollection.findOne([['username', '==', username]]);
 }
 
 async function getUserById(userId) {
-    const doc = await usersCollection.doc(userId).get();
-    if (!doc.exists) return null;
-    return { id: doc.id, ...doc.data() };
+    return usersCollection.get(userId);
+}
+
+async function getUserByEmail(email) {
+    return usersCollection.findOne([['email', '==', email]]);
+}
+
+async function getUserByStripeCustomerId(customerId) {
+    return usersCollection.findOne([['subscription.stripeCustomerId', '==', customerId]]);
+}
+
+// TOTP state - the secret is set once enrollment is confirmed, recovery codes are stored hashed
+function emptyTwoFactor() {
+    return {
+        enabled: false,
+        secret: null,
+        pendingSecret: null,
+        recoveryCodes: [],
+        enabledAt: null,
+        lastUsedStep: -1 // last accepted time step, so a code can't be replayed
+    };
 }
 
-async function createUser(username, password) {
+async function createUser(username, password, email = null) {
     const now = new Date().toISOString();
     const newUser = {
         username,
-        password, // In production, hash this with bcrypt!
+        password: await hashPassword(password),
+        email, // lowercased, null when not given
+        emailVerified: false,
+        emailVerifiedAt: null,
+        role: 'user', // user, support, admin
         createdAt: now,
         lastLogin: now,
-        hwid: null,
-        hwidLockedAt: null,
+        // Activated machines: [{ hwid, label, firstSeenAt, lastSeenAt }]
+        devices: [],
+        lastDeviceDeactivatedAt: null,
+        twoFactor: emptyTwoFactor(),
+        restriction: null, // ban or suspension, see services/accountRestrictions.js
+        adminNotes: [], // [{ at, by, action, note }]
+        sessionVersion: 0, // bumped to log out every web session
+        betaAccess: false, // may download builds from the beta release channel
+        trialUsedAt: null, // one free trial per account, see services/trials.js
         // Subscription/License tracking
         subscription: {
-            status: 'inactive', // inactive, active, cancelled
+            status: 'inactive', // inactive, trialing, active, past_due, suspended, cancelled
             package: null, // monthly, lifetime
+            source: null, // stripe, key
             stripeCustomerId: null,
             stripeSubscriptionId: null,
             currentPeriodEnd: null,
+            trialEndsAt: null, // end of the free trial, if the subscription started with one
             activatedAt: null,
-            cancelledAt: null
+            cancelAtPeriodEnd: false, // cancellation requested - access continues until currentPeriodEnd
+            cancelRequestedAt: null,
+            cancelledAt: null, // when the subscription actually ended
+            pastDueSince: null, // set when a payment fails
+            graceEndsAt: null, // past_due licenses are suspended after this
+            paymentUpdateUrl: null, // Stripe hosted invoice page for fixing the payment
+            lastEventCreated: null // Stripe event.created of the last applied webhook
         },
         // User statistics
         stats: {
@@ -242,149 +788,480 @@ async function createUser(username, password) {
         }
     };
     
-    const docRef = await usersCollection.add(newUser);
-    return { id: docRef.id, ...newUser };
+    return usersCollection.add(newUser);
 }
 
 async function updateUser(userId, updates) {
-    await usersCollection.doc(userId).update(updates);
+    await usersCollection.update(userId, updates);
 }
 
-// Middleware to check if user is authenticated
-function requireAuth(req, res, next) {
-    if (!req.session.userId) {
-        return res.status(401).json({
-            success: false,
-            message: 'Unauthorized'
-        });
-    }
-    next();
+function normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
 }
 
-// API Routes
-
-// C++ Software Login Endpoint
-app.post('/api/login', async (req, res) => {
-    const { username, password, hwid } = req.body;
+function isValidEmail(email) {
+    return email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
 
-    if (!username || !password || !hwid) {
-        return res.status(400).json({
-            success: false,
-            message: 'Missing required fields'
+// Mail failures are logged, not thrown - the account change itself has already happened
+async function sendVerificationEmail(user, email) {
+    try {
+        const token = await accountTokens.issue(user, 'verify_email', { email });
+        const link = `${APP_URL}/api/verify-email?token=${token}`;
+        await mailer.send({
+            to: email,
+            subject: 'Verify your CURSED email address',
+            text: `Hi ${user.username},\n\nConfirm this email address for your CURSED account:\n${link}\n\nIf you didn't request this, you can ignore this message.`
         });
+        return true;
+    } catch (error) {
+        console.error(`Verification email for user ${user.id} failed:`, error);
+        return false;
     }
+}
 
+async function sendPasswordResetEmail(user) {
     try {
-        const user = await getUserByUsername(username);
+        const token = await accountTokens.issue(user, 'password_reset');
+        const link = `${APP_URL}/reset-password.html?token=${token}`;
+        await mailer.send({
+            to: user.email,
+            subject: 'Reset your CURSED password',
+            text: `Hi ${user.username},\n\nSomeone asked to reset the password for your CURSED account. Choose a new password here:\n${link}\n\nThe link can be used once and expires soon. If you didn't ask for this, you can ignore this message.`
+        });
+        return true;
+    } catch (error) {
+        console.error(`Password reset email for user ${user.id} failed:`, error);
+        return false;
+    }
+}
 
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
-        }
+// Hash of a random password, checked against when the username doesn't exist
+// so unknown and known usernames take the same time to reject
+const dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('hex'));
 
-        if (user.password !== password) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
-        }
+// Verify a login password, upgrading legacy plaintext or outdated hashes in place
+async function checkPassword(user, password) {
+    if (!user) {
+        await verifyPassword(password, await dummyPasswordHash);
+        return false;
+    }
 
-        // Check if user has an active subscription/license
-        if (!user.subscription || user.subscription.status !== 'active') {
-            return res.status(403).json({
-                success: false,
-                message: 'No active license. Please purchase a subscription.'
-            });
-        }
+    const { valid, needsRehash } = await verifyPassword(password, user.password);
 
-        // Check HWID lock
-        if (user.hwid && user.hwid !== hwid) {
-            return res.status(403).json({
-                success: false,
-                message: 'Hardware mismatch. Contact administrator.'
-            });
-        }
+    if (valid && needsRehash) {
+        await updateUser(user.id, { password: await hashPassword(password) });
+        console.log(`Password hash upgraded for user ${user.id}`);
+    }
 
-        // Lock HWID if not already locked
-        const updates = {};
-        if (!user.hwid) {
-            updates.hwid = hwid;
-            updates.hwidLockedAt = new Date().toISOString();
-        }
+    return valid;
+}
 
-        // Update last login and stats
-        updates.lastLogin = new Date().toISOString();
-        updates['stats.totalLogins'] = admin.firestore.FieldValue.increment(1);
-        updates['stats.lastLoginDate'] = new Date().toISOString();
+function isTwoFactorRequired(user) {
+    return TWO_FACTOR_REQUIRED_ROLES.includes(getRole(user)) || TWO_FACTOR_REQUIRED_USERS.includes(user.username);
+}
 
-        await updateUser(user.id, updates);
+function rejectTwoFactorSetup(res) {
+    return res.status(403).json({
+        success: false,
+        message: 'Set up two-factor authentication to continue',
+        twoFactorSetupRequired: true
+    });
+}
 
-        return res.json({
-            success: true,
-            message: 'Login successful',
-            username: user.username,
-            subscription: {
-                package: user.subscription.package,
-                status: user.subscription.status
-            }
-        });
+// Load the session's user. Sessions from before a force logout, or of an account that has
+// since been deleted, banned or suspended, are logged out. Returns the user or null.
+async function loadSessionUser(req) {
+    if (!req.session.userId) return null;
 
-    } catch (error) {
-        console.error('Login error:', error);
-        return res.status(500).json({
+    const user = await getUserById(req.session.userId);
+    if (!user || (user.sessionVersion || 0) !== (req.session.sessionVersion || 0) || getActiveRestriction(user)) {
+        delete req.session.userId;
+        delete req.session.username;
+        return null;
+    }
+    return user;
+}
+
+// Internal tools call staff routes with "Authorization: Bearer <api key>" instead of a session.
+// Only routes that name a scope accept keys, and only keys holding that scope. req.user becomes
+// a stand-in actor with role 'api', which sees no billing data and can't manage staff accounts.
+async function authenticateApiKey(req, res, next, key, scope) {
+    if (!scope) {
+        return res.status(401).json({
             success: false,
-            message: 'Server error'
+            message: 'API keys are not accepted on this route'
         });
     }
-});
-
-// Web Login Endpoint (for dashboard)
-app.post('/api/web-login', async (req, res) => {
-    const { username, password } = req.body;
 
-    if (!username || !password) {
-        return res.status(400).json({
+    const { status, error, apiKey } = await apiKeys.verify(key, req.ip);
+    if (error) {
+        return res.status(status).json({
             success: false,
-            message: 'Missing credentials'
+            message: error
+        });
+    }
+    if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+            success: false,
+            message: `This API key does not have the ${scope} scope`
         });
     }
 
-    try {
-        const user = await getUserByUsername(username);
-
-        if (!user || user.password !== password) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
-        }
+    req.apiKey = apiKey;
+    req.user = { id: `apikey:${apiKey.id.slice(0, 12)}`, username: `api:${apiKey.name}`, role: 'api' };
+    next();
+}
 
-        req.session.userId = user.id;
-        req.session.username = user.username;
+// Middleware for a logged-in session; the loaded user is attached as req.user
+// roles: only these roles may pass. allowTwoFactorSetup: let through sessions that still have to enroll in 2FA.
+// apiScope: also accept an API key with this scope (see authenticateApiKey).
+function authenticate({ roles = null, allowTwoFactorSetup = false, apiScope = null } = {}) {
+    return async (req, res, next) => {
+        try {
+            const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+            if (bearer) {
+                return await authenticateApiKey(req, res, next, bearer[1], apiScope);
+            }
 
-        // Update last login
-        await updateUser(user.id, {
-            lastLogin: new Date().toISOString(),
-            'stats.lastLoginDate': new Date().toISOString()
+            const user = await loadSessionUser(req);
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Unauthorized'
+                });
+            }
+            if (req.session.twoFactorSetupRequired && !allowTwoFactorSetup) {
+                return rejectTwoFactorSetup(res);
+            }
+            if (roles && !roles.includes(getRole(user))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Forbidden'
+                });
+            }
+            req.user = user;
+            next();
+        } catch (error) {
+            console.error('Auth check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    };
+}
+
+// Logged in, including a session that still has to enroll in 2FA
+const requireSession = authenticate({ allowTwoFactorSetup: true });
+
+// Middleware to check if user is authenticated
+const requireAuth = authenticate();
+
+// Middleware to check the session user's role
+function requireRole(...roles) {
+    return authenticate({ roles });
+}
+
+// Like requireRole, but an API key with the given scope is accepted as well
+function requireRoleOrApiKey(scope, ...roles) {
+    return authenticate({ roles, apiScope: scope });
+}
+
+// Auth throttles - the login limits are shared by the client and web login
+const LOCKOUT_MESSAGE = 'Account temporarily locked after too many failed attempts. Please try again later.';
+const loginIpLimit = authLimiter.limit('login-ip', {
+    max: authLimiter.limits.loginPerIp,
+    windowMs: authLimiter.limits.windowMs,
+    message: 'Too many login attempts. Please try again later.'
+});
+const loginUsernameLimit = authLimiter.limit('login-user', {
+    max: authLimiter.limits.loginPerUsername,
+    windowMs: authLimiter.limits.windowMs,
+    key: req => req.body?.username ? String(req.body.username) : null,
+    message: 'Too many login attempts. Please try again later.'
+});
+const signupLimit = authLimiter.limit('signup-ip', {
+    max: authLimiter.limits.signupPerIp,
+    windowMs: authLimiter.limits.signupWindowMs,
+    message: 'Too many accounts created from this address. Please try again later.'
+});
+const twoFactorLimit = authLimiter.limit('2fa', {
+    max: authLimiter.limits.loginPerUsername,
+    windowMs: authLimiter.limits.windowMs,
+    key: req => req.session.userId || req.session.pendingTwoFactor?.userId,
+    message: 'Too many authentication attempts. Please try again later.'
+});
+const mailIpLimit = authLimiter.limit('mail-ip', {
+    max: authLimiter.limits.mailPerIp,
+    windowMs: authLimiter.limits.mailWindowMs,
+    message: 'Too many email requests. Please try again later.'
+});
+const mailAccountLimit = authLimiter.limit('mail-account', {
+    max: authLimiter.limits.mailPerAccount,
+    windowMs: authLimiter.limits.mailWindowMs,
+    key: req => req.session.userId || normalizeEmail(req.body?.email) || (req.body?.username ? String(req.body.username) : null),
+    message: 'Too many email requests. Please try again later.'
+});
+
+// Count a failed password towards lockout, auditing when it locks the account
+async function recordLoginFailure(req, user, username) {
+    const lockout = await authLimiter.recordFailure(username);
+    if (lockout) {
+        await audit.record({
+            type: 'account.locked',
+            req,
+            actor: 'system',
+            target: user || { username },
+            details: { lockedForSeconds: lockout.lockedForMs / 1000, level: lockout.level }
+        });
+        console.log(`🔒 Login for ${username} locked for ${lockout.lockedForMs / 1000}s`);
+    }
+}
+
+// API Routes
+
+// C++ Software Login Endpoint
+app.post('/api/login', loginIpLimit, loginUsernameLimit, async (req, res) => {
+    const { username, password, hwid, deviceLabel } = req.body;
+
+    if (!username || !password || !hwid) {
+        return res.status(400).json({
+            success: false,
+            message: 'Missing required fields'
         });
+    }
 
-        // Force save session before responding
-        req.session.save((err) => {
-            if (err) {
-                console.error('Session save error:', err);
-                return res.status(500).json({
-                    success: false,
-                    message: 'Login failed - session error'
+    let user = null;
+
+    // Every rejection is audited with the reason before responding
+    async function auditFailure(reason) {
+        await audit.record({
+            type: 'client.login',
+            req,
+            actor: user,
+            target: user || { username: String(username) },
+            hwid,
+            outcome: 'failure',
+            reason
+        });
+    }
+
+    async function reject(status, message, reason) {
+        await auditFailure(reason);
+        return res.status(status).json({
+            success: false,
+            message
+        });
+    }
+
+    try {
+        const lockedForMs = await authLimiter.getLockout(String(username));
+        if (lockedForMs) {
+            await auditFailure('locked_out');
+            return sendTooManyRequests(res, lockedForMs, LOCKOUT_MESSAGE);
+        }
+
+        user = await getUserByUsername(username);
+
+        if (!(await checkPassword(user, password))) {
+            await recordLoginFailure(req, user, String(username));
+            return reject(401, 'Invalid credentials', user ? 'invalid_password' : 'unknown_user');
+        }
+        await authLimiter.recordSuccess(String(username));
+
+        const restriction = getActiveRestriction(user);
+        if (restriction) {
+            return reject(403, describeRestriction(restriction), `account_${restriction.type}`);
+        }
+
+        // Check if user has an active subscription/license (past_due still works during the grace period)
+        const license = evaluateLicense(user);
+        if (!license.allowed) {
+            if (isGraceExpired(user.subscription)) {
+                await updateUser(user.id, { 'subscription.status': 'suspended' });
+            }
+            // An 'active' license is only refused once its period has ended
+            return reject(403, license.message, ['active', 'trialing'].includes(user.subscription?.status) ? 'license_expired' : 'no_active_license');
+        }
+
+        // A trial only runs on machines no other account has trialed on
+        if (user.subscription.status === 'trialing' && !(await trials.claimDevice(user, hwid))) {
+            return reject(403, 'A free trial has already been used on this device. Subscribe to keep using it.', 'trial_device_used');
+        }
+
+        // Check device seats - known devices are refreshed, new ones take a free seat.
+        // The list is only written if it is unchanged since it was read, so concurrent logins from
+        // new machines can't go past the seat limit or drop each other's devices; on a clash the
+        // fresh list is checked again.
+        const packages = await catalog.getMap();
+        const seatLimit = getSeatLimit(user, packages);
+        let devices;
+        let device;
+
+        for (;;) {
+            const now = new Date().toISOString();
+            devices = getDevices(user).map(d => ({ ...d }));
+            device = devices.find(d => d.hwid === hwid);
+
+            if (device) {
+                device.lastSeenAt = now;
+                if (deviceLabel && !device.label) {
+                    device.label = String(deviceLabel).slice(0, 64);
+                }
+            } else if (devices.length >= seatLimit) {
+                return reject(403, `Device limit reached (${devices.length}/${seatLimit}). Deactivate a device from your dashboard.`, 'device_limit_reached');
+            } else {
+                devices.push({
+                    hwid,
+                    label: deviceLabel ? String(deviceLabel).slice(0, 64) : null,
+                    firstSeenAt: now,
+                    lastSeenAt: now
                 });
             }
 
-            return res.json({
+            // Legacy single-hwid fields are replaced by the device list
+            const updates = {
+                devices,
+                hwid: null,
+                hwidLockedAt: null
+            };
+
+            // Update last login and stats
+            updates.lastLogin = now;
+            updates['stats.totalLogins'] = increment(1);
+            updates['stats.lastLoginDate'] = now;
+
+            const saved = await usersCollection.updateIf(user.id, [
+                ['devices', '==', user.devices],
+                ['hwid', '==', user.hwid]
+            ], updates);
+            if (saved) break;
+
+            user = await getUserById(user.id);
+            if (!user) {
+                return reject(401, 'Invalid credentials', 'unknown_user');
+            }
+        }
+
+        if (!device) {
+            await audit.record({ type: 'device.activated', req, actor: user, target: user, hwid, details: { seats: `${devices.length}/${seatLimit}` } });
+            emitWebhookEvent('hwid.locked', user, { hwid, label: devices[devices.length - 1].label, seats: devices.length, seatLimit });
+        }
+        await audit.record({ type: 'client.login', req, actor: user, target: user, hwid, reason: license.warning ? user.subscription.status : null });
+
+        // Signed token lets the client verify this response and run offline until it expires
+        const licenseToken = await licenseTokens.issueToken(user, hwid, packages[user.subscription.package]);
+
+        // Client session kept alive by /api/client/heartbeat - the oldest sessions over the limit are ended
+        const clientSession = await clientSessions.open(user, {
+            hwid,
+            ip: req.ip,
+            limit: getSessionLimit(user, packages)
+        });
+        for (const evicted of clientSession.evicted) {
+            await audit.record({ type: 'client.session_ended', req, actor: user, target: user, hwid: evicted.hwid, reason: 'session_limit' });
+        }
+
+        // The client shows these on login, so they count as read from here on
+        const userAnnouncements = await announcements.forUser(user);
+        await announcements.markRead(user, userAnnouncements.map(announcement => announcement.id));
+
+        return res.json({
+            success: true,
+            message: 'Login successful',
+            username: user.username,
+            subscription: {
+                package: user.subscription.package,
+                status: user.subscription.status
+            },
+            ...(license.warning && { warning: license.warning }),
+            licenseToken: licenseToken.token,
+            licenseTokenExpiresAt: licenseToken.expiresAt,
+            sessionId: clientSession.sessionId,
+            sessionExpiresAt: clientSession.expiresAt,
+            heartbeatInterval: clientSessions.heartbeatIntervalSeconds,
+            announcements: userAnnouncements
+        });
+
+    } catch (error) {
+        console.error('Login error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Web Login Endpoint (for dashboard)
+app.post('/api/web-login', loginIpLimit, loginUsernameLimit, async (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Missing credentials'
+        });
+    }
+
+    try {
+        const lockedForMs = await authLimiter.getLockout(String(username));
+        if (lockedForMs) {
+            await audit.record({
+                type: 'web.login',
+                req,
+                target: { username: String(username) },
+                outcome: 'failure',
+                reason: 'locked_out'
+            });
+            return sendTooManyRequests(res, lockedForMs, LOCKOUT_MESSAGE);
+        }
+
+        const user = await getUserByUsername(username);
+
+        if (!(await checkPassword(user, password))) {
+            await recordLoginFailure(req, user, String(username));
+            await audit.record({
+                type: 'web.login',
+                req,
+                actor: user,
+                target: user || { username: String(username) },
+                outcome: 'failure',
+                reason: user ? 'invalid_password' : 'unknown_user'
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        await authLimiter.recordSuccess(String(username));
+
+        const restriction = getActiveRestriction(user);
+        if (restriction) {
+            await audit.record({ type: 'web.login', req, actor: user, target: user, outcome: 'failure', reason: `account_${restriction.type}` });
+            return res.status(403).json({
+                success: false,
+                message: describeRestriction(restriction)
+            });
+        }
+
+        // Password is right - accounts with 2FA still need a code from /api/web-login/2fa
+        if (user.twoFactor?.enabled) {
+            delete req.session.userId;
+            delete req.session.username;
+            req.session.pendingTwoFactor = {
+                userId: user.id,
+                expiresAt: Date.now() + TWO_FACTOR_LOGIN_TIMEOUT_MS
+            };
+            return saveSessionAndRespond(req, res, {
                 success: true,
-                message: 'Login successful'
+                twoFactorRequired: true,
+                message: 'Enter the code from your authenticator app'
             });
-        });
+        }
+
+        await completeWebLogin(req, res, user);
 
     } catch (error) {
         console.error('Web login error:', error);
@@ -395,17 +1272,145 @@ app.post('/api/web-login', async (req, res) => {
     }
 });
 
+// Second step of a web login for accounts with 2FA: { code } or { recoveryCode }
+app.post('/api/web-login/2fa', loginIpLimit, twoFactorLimit, async (req, res) => {
+    const pending = req.session.pendingTwoFactor;
+
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.pendingTwoFactor;
+        return res.status(401).json({
+            success: false,
+            message: 'Login expired. Please sign in again.',
+            loginExpired: true
+        });
+    }
+
+    try {
+        const user = await getUserById(pending.userId);
+        if (!user || !user.twoFactor?.enabled) {
+            delete req.session.pendingTwoFactor;
+            return res.status(401).json({
+                success: false,
+                message: 'Login expired. Please sign in again.',
+                loginExpired: true
+            });
+        }
+
+        const lockedForMs = await authLimiter.getLockout(user.username);
+        if (lockedForMs) {
+            return sendTooManyRequests(res, lockedForMs, LOCKOUT_MESSAGE);
+        }
+
+        const method = await verifySecondFactor(user, req.body);
+        if (!method) {
+            await recordLoginFailure(req, user, user.username);
+            await audit.record({ type: 'web.login', req, actor: user, target: user, outcome: 'failure', reason: 'invalid_2fa_code' });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        delete req.session.pendingTwoFactor;
+        await authLimiter.recordSuccess(user.username);
+        await completeWebLogin(req, res, user, { twoFactor: method });
+
+    } catch (error) {
+        console.error('Web login 2FA error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Force save session before responding
+function saveSessionAndRespond(req, res, body) {
+    req.session.save((err) => {
+        if (err) {
+            console.error('Session save error:', err);
+            return res.status(500).json({
+                success: false,
+                message: 'Login failed - session error'
+            });
+        }
+
+        return res.json(body);
+    });
+}
+
+// Turn the session into a logged-in one once every required factor has been checked
+async function completeWebLogin(req, res, user, details = null) {
+    const twoFactorSetupRequired = isTwoFactorRequired(user) && !user.twoFactor?.enabled;
+
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    req.session.sessionVersion = user.sessionVersion || 0;
+    req.session.twoFactorSetupRequired = twoFactorSetupRequired;
+    req.session.ip = req.ip;
+    req.session.userAgent = String(req.get('user-agent') || '').slice(0, 256);
+
+    // Update last login
+    await updateUser(user.id, {
+        lastLogin: new Date().toISOString(),
+        'stats.lastLoginDate': new Date().toISOString()
+    });
+    await audit.record({ type: 'web.login', req, actor: user, target: user, details });
+
+    saveSessionAndRespond(req, res, {
+        success: true,
+        message: 'Login successful',
+        ...(twoFactorSetupRequired && { twoFactorSetupRequired })
+    });
+}
+
+// Check a TOTP code or a one-time recovery code. Returns 'totp', 'recovery_code' or null.
+// The code is spent with a conditional update, so concurrent logins can't both use the same
+// TOTP step or recovery code - the one that loses the race is rejected.
+async function verifySecondFactor(user, { code, recoveryCode }) {
+    const twoFactor = user.twoFactor || {};
+
+    if (code) {
+        const step = verifyCode(twoFactor.secret, code, { lastUsedStep: twoFactor.lastUsedStep ?? -1 });
+        if (step === null) return null;
+        const spent = await usersCollection.updateIf(user.id, [['twoFactor.lastUsedStep', '==', twoFactor.lastUsedStep]], {
+            'twoFactor.lastUsedStep': step
+        });
+        return spent ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const remaining = twoFactor.recoveryCodes || [];
+        if (!remaining.includes(hash)) return null;
+        const spent = await usersCollection.updateIf(user.id, [['twoFactor.recoveryCodes', '==', remaining]], {
+            'twoFactor.recoveryCodes': remaining.filter(h => h !== hash)
+        });
+        return spent ? 'recovery_code' : null;
+    }
+
+    return null;
+}
+
 // Signup Endpoint
-app.post('/api/signup', async (req, res) => {
+app.post('/api/signup', signupLimit, async (req, res) => {
     const { username, password } = req.body;
+    const email = normalizeEmail(req.body.email) || null;
 
-    if (!username || !password) {
+    if (!username || !password || (EMAIL_REQUIRED && !email)) {
         return res.status(400).json({
             success: false,
             message: 'Missing required fields'
         });
     }
 
+    if (email && !isValidEmail(email)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid email address'
+        });
+    }
+
     if (username.length < 3) {
         return res.status(400).json({
             success: false,
@@ -413,10 +1418,11 @@ app.post('/api/signup', async (req, res) => {
         });
     }
 
-    if (password.length < 6) {
+    const passwordError = validatePassword(password, username);
+    if (passwordError) {
         return res.status(400).json({
             success: false,
-            message: 'Password must be at least 6 characters'
+            message: passwordError
         });
     }
 
@@ -430,11 +1436,28 @@ app.post('/api/signup', async (req, res) => {
             });
         }
 
-        const newUser = await createUser(username, password);
+        if (email && await getUserByEmail(email)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Email already in use'
+            });
+        }
+
+        const newUser = await createUser(username, password, email);
+        await audit.record({ type: 'user.signup', req, actor: newUser, target: newUser });
+        emitWebhookEvent('user.signup', newUser);
+
+        if (email) {
+            await sendVerificationEmail(newUser, email);
+        }
 
         // Auto-login after signup
         req.session.userId = newUser.id;
         req.session.username = newUser.username;
+        req.session.sessionVersion = 0;
+        req.session.twoFactorSetupRequired = isTwoFactorRequired(newUser);
+        req.session.ip = req.ip;
+        req.session.userAgent = String(req.get('user-agent') || '').slice(0, 256);
 
         // Force save session before responding
         req.session.save((err) => {
@@ -448,7 +1471,9 @@ app.post('/api/signup', async (req, res) => {
 
             return res.json({
                 success: true,
-                message: 'Account created successfully'
+                message: email
+                    ? 'Account created successfully. Check your inbox to verify your email.'
+                    : 'Account created successfully'
             });
         });
 
@@ -461,22 +1486,45 @@ app.post('/api/signup', async (req, res) => {
     }
 });
 
+// Password Policy (used by signup form for client-side validation)
+app.get('/api/password-policy', (req, res) => {
+    res.json({
+        success: true,
+        policy: passwordPolicy,
+        emailRequired: EMAIL_REQUIRED
+    });
+});
+
 // Check Session - Enhanced with user data
 app.get('/api/check-session', async (req, res) => {
     if (req.session.userId) {
         try {
-            const user = await getUserById(req.session.userId);
+            const user = await loadSessionUser(req);
             if (user) {
+                const packages = await catalog.getMap();
+
                 // Calculate account age in days
                 const accountAge = Math.floor((new Date() - new Date(user.createdAt)) / (1000 * 60 * 60 * 24));
                 
                 return res.json({
                     loggedIn: true,
                     username: user.username,
+                    twoFactorSetupRequired: !!req.session.twoFactorSetupRequired,
                     user: {
                         username: user.username,
+                        email: user.email || null,
+                        emailVerified: !!user.emailVerified,
+                        role: getRole(user),
+                        twoFactor: {
+                            enabled: !!user.twoFactor?.enabled,
+                            required: isTwoFactorRequired(user),
+                            recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+                        },
                         createdAt: user.createdAt,
                         lastLogin: user.lastLogin,
+                        devices: getDevices(user),
+                        seatLimit: getSeatLimit(user, packages),
+                        deviceCooldownEndsAt: getDeactivationCooldownEnd(user),
                         stats: {
                             ...user.stats,
                             accountAge
@@ -504,6 +1552,7 @@ app.get('/api/user/stats', requireAuth, async (req, res) => {
         }
 
         const accountAge = Math.floor((new Date() - new Date(user.createdAt)) / (1000 * 60 * 60 * 24));
+        const packages = await catalog.getMap();
 
         res.json({
             success: true,
@@ -512,8 +1561,8 @@ app.get('/api/user/stats', requireAuth, async (req, res) => {
                 lastLogin: user.lastLogin,
                 totalLogins: user.stats?.totalLogins || 1,
                 accountAgeDays: accountAge,
-                hwidLocked: !!user.hwid,
-                hwidLockedAt: user.hwidLockedAt,
+                devices: getDevices(user),
+                seatLimit: getSeatLimit(user, packages),
                 subscription: user.subscription
             }
         });
@@ -542,31 +1591,3060 @@ app.post('/api/logout', (req, res) => {
     });
 });
 
-// Get All Users (Admin)
-app.get('/api/users', async (req, res) => {
+// ==================== WEB SESSIONS ====================
+
+// The account's dashboard logins (device, IP, last activity); current marks this browser's
+app.get('/api/sessions', requireAuth, async (req, res) => {
+    try {
+        const currentId = hashSessionId(req.sessionID);
+        const sessions = await webSessions.listForUser(req.user.id);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(webSession => ({ ...webSession, current: webSession.id === currentId }))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Sign out every dashboard session of the account, including this one
+app.post('/api/sessions/revoke-all', requireAuth, async (req, res) => {
+    try {
+        const count = await webSessions.revokeAll(req.user.id);
+        await audit.record({ type: 'web.sessions_revoked', req, actor: req.user, target: req.user, details: { sessions: count } });
+
+        req.session.destroy(() => {
+            res.json({
+                success: true,
+                message: `Signed out of ${count} session${count === 1 ? '' : 's'}`
+            });
+        });
+    } catch (error) {
+        console.error('Revoke all sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Sign out one dashboard session by its id from /api/sessions
+app.delete('/api/sessions/:sessionId', requireAuth, async (req, res) => {
     try {
-        const snapshot = await usersCollection.orderBy('createdAt', 'desc').get();
-        const users = [];
+        if (!(await webSessions.revoke(req.user.id, req.params.sessionId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await audit.record({ type: 'web.session_revoked', req, actor: req.user, target: req.user, details: { session: req.params.sessionId.slice(0, 12) } });
+
+        res.json({
+            success: true,
+            message: 'Session signed out'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Change the password - { currentPassword, newPassword }. Every other dashboard session and
+// every client session is signed out; this one stays logged in.
+app.post('/api/password', requireAuth, twoFactorLimit, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+            success: false,
+            message: 'Current and new password are required'
+        });
+    }
+
+    try {
+        const user = req.user;
+
+        // Wrong passwords here count towards the same lockout as the login forms
+        const lockedForMs = await authLimiter.getLockout(user.username);
+        if (lockedForMs) {
+            return sendTooManyRequests(res, lockedForMs, LOCKOUT_MESSAGE);
+        }
+
+        if (!(await checkPassword(user, currentPassword))) {
+            await audit.record({ type: 'password.changed', req, actor: user, target: user, outcome: 'failure', reason: 'invalid_password' });
+            await recordLoginFailure(req, user, user.username);
+            return res.status(401).json({
+                success: false,
+                message: 'Incorrect password'
+            });
+        }
+
+        const passwordError = validatePassword(newPassword, user.username);
+        if (passwordError) {
+            return res.status(400).json({
+                success: false,
+                message: passwordError
+            });
+        }
+
+        await updateUser(user.id, { password: await hashPassword(newPassword) });
+        const web = await webSessions.revokeAll(user.id, { except: hashSessionId(req.sessionID) });
+        const client = await clientSessions.revokeAll(user.id, 'password_changed');
+        await audit.record({ type: 'password.changed', req, actor: user, target: user, details: { sessionsEnded: web + client } });
+
+        res.json({
+            success: true,
+            message: web + client ? 'Password changed. Your other sessions have been signed out.' : 'Password changed.'
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+// Start enrollment - the secret only becomes active once /api/2fa/enable confirms a code
+app.post('/api/2fa/setup', requireSession, async (req, res) => {
+    try {
+        const user = await getUserById(req.session.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = generateSecret();
+        const otpauthUri = buildOtpAuthUri(secret, user.username);
+        await updateUser(user.id, { 'twoFactor.pendingSecret': secret });
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUri,
+            qrCode: await QRCode.toDataURL(otpauthUri)
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Confirm enrollment with a code from the app. Recovery codes are only ever shown in this response.
+app.post('/api/2fa/enable', requireSession, twoFactorLimit, async (req, res) => {
+    try {
+        const user = await getUserById(req.session.userId);
+        const pendingSecret = user?.twoFactor?.pendingSecret;
+
+        if (!pendingSecret || user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first'
+            });
+        }
+
+        const step = verifyCode(pendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await updateUser(user.id, {
+            twoFactor: {
+                enabled: true,
+                secret: pendingSecret,
+                pendingSecret: null,
+                recoveryCodes: hashes,
+                enabledAt: new Date().toISOString(),
+                lastUsedStep: step
+            }
+        });
+        await audit.record({ type: 'two_factor.enabled', req, actor: user, target: user });
+
+        req.session.twoFactorSetupRequired = false;
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Turn 2FA off - needs the password and a current code (or recovery code)
+app.post('/api/2fa/disable', requireAuth, twoFactorLimit, async (req, res) => {
+    const { password } = req.body;
+
+    if (!password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Password required'
+        });
+    }
+
+    try {
+        const user = await getUserById(req.session.userId);
+        if (!user || !user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (isTwoFactorRequired(user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required for this account'
+            });
+        }
+
+        // Wrong passwords and codes here count towards the same lockout as the login forms
+        const lockedForMs = await authLimiter.getLockout(user.username);
+        if (lockedForMs) {
+            return sendTooManyRequests(res, lockedForMs, LOCKOUT_MESSAGE);
+        }
+
+        if (!(await checkPassword(user, password)) || !(await verifySecondFactor(user, req.body))) {
+            await recordLoginFailure(req, user, user.username);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or authentication code'
+            });
+        }
+
+        await updateUser(user.id, {
+            twoFactor: emptyTwoFactor()
+        });
+        await audit.record({ type: 'two_factor.disabled', req, actor: user, target: user });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Replace the recovery codes (the old ones stop working)
+app.post('/api/2fa/recovery-codes', requireAuth, twoFactorLimit, async (req, res) => {
+    try {
+        const user = await getUserById(req.session.userId);
+        if (!user || !user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!req.body.code || (await verifySecondFactor(user, { code: req.body.code })) !== 'totp') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await updateUser(user.id, { 'twoFactor.recoveryCodes': hashes });
+        await audit.record({ type: 'two_factor.recovery_codes_regenerated', req, actor: user, target: user });
+
+        res.json({
+            success: true,
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Remove 2FA from an account that lost its device and recovery codes (Admin)
+app.post('/api/2fa/reset', requireRole('admin'), async (req, res) => {
+    const { username } = req.body;
+
+    if (!username) {
+        return res.status(400).json({
+            success: false,
+            message: 'Username required'
+        });
+    }
+
+    try {
+        const user = await getUserByUsername(username);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        await updateUser(user.id, {
+            twoFactor: emptyTwoFactor()
+        });
+        await audit.record({ type: 'two_factor.reset', req, actor: req.user, target: user });
+        console.log(`2FA reset for ${username} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: `Two-factor authentication removed for ${username}`
+        });
+    } catch (error) {
+        console.error('2FA reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== EMAIL & PASSWORD RESET ====================
+
+// Verification link from the email - marks the address verified and returns to the dashboard
+app.get('/api/verify-email', async (req, res) => {
+    try {
+        const record = await accountTokens.consume(req.query.token, 'verify_email');
+        const user = record && await getUserById(record.userId);
+
+        // The address may have changed since the link was sent
+        if (!user || user.email !== record.email) {
+            return res.redirect('/dashboard?emailVerified=false');
+        }
+
+        await updateUser(user.id, {
+            emailVerified: true,
+            emailVerifiedAt: new Date().toISOString()
+        });
+        await audit.record({ type: 'email.verified', req, actor: user, target: user, details: { email: user.email } });
+
+        // Keep the Stripe customer's receipts going to the verified address
+        if (user.subscription?.stripeCustomerId) {
+            try {
+                await stripe.customers.update(user.subscription.stripeCustomerId, { email: user.email });
+            } catch (error) {
+                console.error(`Stripe customer email update failed for user ${user.id}:`, error.message);
+            }
+        }
+
+        res.redirect('/dashboard?emailVerified=true');
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.redirect('/dashboard?emailVerified=false');
+    }
+});
+
+// Set or change the account email - needs the current password, and the new address must be verified
+app.post('/api/email', requireAuth, mailIpLimit, mailAccountLimit, async (req, res) => {
+    const email = normalizeEmail(req.body.email);
+    const { password } = req.body;
+
+    if (!email || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email and current password are required'
+        });
+    }
+
+    if (!isValidEmail(email)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid email address'
+        });
+    }
+
+    try {
+        const user = await getUserById(req.session.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Wrong passwords here count towards the same lockout as the login forms
+        const lockedForMs = await authLimiter.getLockout(user.username);
+        if (lockedForMs) {
+            return sendTooManyRequests(res, lockedForMs, LOCKOUT_MESSAGE);
+        }
+
+        if (!(await checkPassword(user, password))) {
+            await audit.record({ type: 'email.changed', req, actor: user, target: user, outcome: 'failure', reason: 'invalid_password' });
+            await recordLoginFailure(req, user, user.username);
+            return res.status(401).json({
+                success: false,
+                message: 'Incorrect password'
+            });
+        }
+
+        const existing = await getUserByEmail(email);
+        if (existing && existing.id !== user.id) {
+            return res.status(409).json({
+                success: false,
+                message: 'Email already in use'
+            });
+        }
+
+        await updateUser(user.id, {
+            email,
+            emailVerified: false,
+            emailVerifiedAt: null
+        });
+        await audit.record({ type: 'email.changed', req, actor: user, target: user, details: { from: user.email || null, to: email } });
+        await sendVerificationEmail(user, email);
+
+        res.json({
+            success: true,
+            message: 'Email updated. Check your inbox to verify it.'
+        });
+    } catch (error) {
+        console.error('Update email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Send the verification link again
+app.post('/api/email/resend-verification', requireAuth, mailIpLimit, mailAccountLimit, async (req, res) => {
+    try {
+        const user = await getUserById(req.session.userId);
+        if (!user || !user.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'No email address on this account'
+            });
+        }
+
+        if (user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+
+        await sendVerificationEmail(user, user.email);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Start a password reset by email or username. Always answers the same way so it
+// can't be used to find out which accounts exist.
+app.post('/api/forgot-password', mailIpLimit, mailAccountLimit, async (req, res) => {
+    const email = normalizeEmail(req.body.email);
+    const { username } = req.body;
+
+    if (!email && !username) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email or username required'
+        });
+    }
+
+    try {
+        const user = email ? await getUserByEmail(email) : await getUserByUsername(String(username));
+
+        if (user && user.email) {
+            await sendPasswordResetEmail(user);
+            await audit.record({ type: 'password.reset_requested', req, target: user });
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account with an email address matches, a reset link has been sent.'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Finish a password reset with the emailed token
+app.post('/api/reset-password', async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Missing required fields'
+        });
+    }
+
+    try {
+        const record = await accountTokens.find(token, 'password_reset');
+        const user = record && await getUserById(record.userId);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reset link is invalid or has expired'
+            });
+        }
+
+        // Validate before using up the token so the user can pick another password
+        const passwordError = validatePassword(password, user.username);
+        if (passwordError) {
+            return res.status(400).json({
+                success: false,
+                message: passwordError
+            });
+        }
+
+        if (!(await accountTokens.consume(token, 'password_reset'))) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reset link is invalid or has expired'
+            });
+        }
+
+        // Receiving the link proves ownership of the address
+        await updateUser(user.id, {
+            password: await hashPassword(password),
+            ...(!user.emailVerified && { emailVerified: true, emailVerifiedAt: new Date().toISOString() })
+        });
+        await authLimiter.recordSuccess(user.username);
+        await webSessions.revokeAll(user.id);
+        await clientSessions.revokeAll(user.id, 'password_reset');
+        await audit.record({ type: 'password.reset', req, actor: user, target: user });
+
+        res.json({
+            success: true,
+            message: 'Password updated. You can now log in.'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== CLIENT SESSIONS ====================
+
+const SESSION_END_MESSAGES = {
+    session_limit: 'Your account was signed in from another session. Please log in again.',
+    admin: 'Your session was ended by an administrator. Please log in again.',
+    hwid_mismatch: 'Hardware mismatch',
+    device_deactivated: 'This device has been deactivated. Please log in again.',
+    logout: 'Session ended. Please log in again.',
+    password_changed: 'Your password was changed. Please log in again.',
+    password_reset: 'Your password was reset. Please log in again.'
+};
+
+// Client heartbeat - re-checks the license, device and session limit on every call
+app.post('/api/client/heartbeat', async (req, res) => {
+    const { sessionId, hwid } = req.body;
+
+    if (!sessionId || !hwid) {
+        return res.status(400).json({
+            success: false,
+            message: 'Missing required fields'
+        });
+    }
+
+    try {
+        const session = await clientSessions.find(sessionId);
+
+        if (!session || !isLive(session)) {
+            const reason = session?.endReason || 'session_expired';
+            return res.status(401).json({
+                success: false,
+                reason,
+                message: SESSION_END_MESSAGES[reason] || 'Session expired. Please log in again.'
+            });
+        }
+
+        const user = await getUserById(session.userId);
+
+        // Ends the session, audits why and tells the client to stop
+        async function endSession(status, reason, message) {
+            await clientSessions.end(session.id, 'revoked', reason);
+            await audit.record({ type: 'client.session_ended', req, actor: 'system', target: user || { id: session.userId, username: session.username }, hwid, reason });
+            return res.status(status).json({
+                success: false,
+                reason,
+                message
+            });
+        }
+
+        if (session.hwid !== hwid) {
+            return endSession(401, 'hwid_mismatch', SESSION_END_MESSAGES.hwid_mismatch);
+        }
+        if (!user) {
+            return endSession(401, 'user_deleted', 'Account not found');
+        }
+
+        const restriction = getActiveRestriction(user);
+        if (restriction) {
+            return endSession(403, `account_${restriction.type}`, describeRestriction(restriction));
+        }
+
+        const license = evaluateLicense(user);
+        if (!license.allowed) {
+            return endSession(403, 'license_inactive', license.message);
+        }
+        if (!getDevices(user).some(d => d.hwid === hwid)) {
+            return endSession(403, 'device_deactivated', SESSION_END_MESSAGES.device_deactivated);
+        }
+
+        // Only the newest sessions up to the limit may continue (the limit can drop mid-session)
+        const packages = await catalog.getMap();
+        const active = await clientSessions.listActive(user.id);
+        const allowed = active.slice(-getSessionLimit(user, packages));
+        if (!allowed.some(s => s.id === session.id)) {
+            return endSession(401, 'session_limit', SESSION_END_MESSAGES.session_limit);
+        }
+
+        const updated = await clientSessions.touch(session);
+
+        res.json({
+            success: true,
+            sessionExpiresAt: updated.expiresAt,
+            heartbeatInterval: clientSessions.heartbeatIntervalSeconds,
+            subscription: {
+                package: user.subscription.package,
+                status: user.subscription.status
+            },
+            ...(license.warning && { warning: license.warning })
+        });
+    } catch (error) {
+        console.error('Heartbeat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Client sign out - frees the session slot straight away
+app.post('/api/client/logout', async (req, res) => {
+    const { sessionId } = req.body;
+
+    try {
+        const session = await clientSessions.find(sessionId);
+        if (session && session.status === 'active') {
+            await clientSessions.end(session.id, 'ended', 'logout');
+        }
+
+        res.json({
+            success: true,
+            message: 'Session ended'
+        });
+    } catch (error) {
+        console.error('Client logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Client dismissal of an announcement from the login response - { sessionId }
+app.post('/api/client/announcements/:announcementId/dismiss', async (req, res) => {
+    const { sessionId } = req.body;
+
+    try {
+        const session = sessionId ? await clientSessions.find(sessionId) : null;
+        const user = session && isLive(session) ? await getUserById(session.userId) : null;
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired. Please log in again.'
+            });
+        }
+
+        const announcement = await announcements.get(req.params.announcementId);
+        const { status, error } = await announcements.dismiss(user, announcement);
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Client dismiss announcement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// List live client sessions, optionally for one user (Support/Admin)
+app.get('/api/client-sessions', requireRole('support', 'admin'), async (req, res) => {
+    try {
+        let userId;
+        if (req.query.username) {
+            const user = await getUserByUsername(String(req.query.username));
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+            userId = user.id;
+        }
+
+        const sessions = await clientSessions.listActive(userId);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => ({
+                id: session.id,
+                userId: session.userId,
+                username: session.username,
+                hwid: session.hwid,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastHeartbeatAt: session.lastHeartbeatAt,
+                expiresAt: session.expiresAt
+            }))
+        });
+    } catch (error) {
+        console.error('List client sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Kill every live session of a user (Support/Admin)
+app.post('/api/client-sessions/revoke-all', requireRole('support', 'admin'), async (req, res) => {
+    const { username } = req.body;
+
+    if (!username) {
+        return res.status(400).json({
+            success: false,
+            message: 'Username required'
+        });
+    }
+
+    try {
+        const user = await getUserByUsername(username);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const count = await clientSessions.revokeAll(user.id, 'admin');
+        await audit.record({ type: 'client.session_ended', req, actor: req.user, target: user, reason: 'admin', details: { sessions: count } });
+        console.log(`Client sessions for ${username} ended by ${req.user.username} (${count})`);
+
+        res.json({
+            success: true,
+            message: `Ended ${count} session${count === 1 ? '' : 's'} for ${username}`,
+            count
+        });
+    } catch (error) {
+        console.error('Revoke client sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Kill a single session by its record id (Support/Admin)
+app.post('/api/client-sessions/:sessionId/revoke', requireRole('support', 'admin'), async (req, res) => {
+    try {
+        const session = await clientSessions.get(req.params.sessionId);
+        if (!session || !isLive(session)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found or already ended'
+            });
+        }
+
+        await clientSessions.end(session.id, 'revoked', 'admin');
+        await audit.record({
+            type: 'client.session_ended',
+            req,
+            actor: req.user,
+            target: { id: session.userId, username: session.username },
+            hwid: session.hwid,
+            reason: 'admin'
+        });
+
+        res.json({
+            success: true,
+            message: 'Session ended'
+        });
+    } catch (error) {
+        console.error('Revoke client session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== RELEASES ====================
+
+// What clients and customers see of a release
+function toPublicRelease(release) {
+    return {
+        id: release.id,
+        version: release.version,
+        channel: release.channel,
+        changelog: release.changelog,
+        minSupportedVersion: release.minSupportedVersion,
+        sha256: release.sha256,
+        size: release.size,
+        publishedAt: release.publishedAt
+    };
+}
+
+// Builds are for licensed accounts whose package includes updates
+// Returns { error } or { channels } - the release channels the user may download from
+async function getDownloadAccess(user) {
+    const restriction = getActiveRestriction(user);
+    if (restriction) {
+        return { error: describeRestriction(restriction) };
+    }
+
+    const license = evaluateLicense(user);
+    if (!license.allowed) {
+        return { error: license.message };
+    }
+
+    const pkg = await catalog.get(user.subscription.package);
+    if (!pkg?.entitlements?.includes('updates')) {
+        return { error: 'Your package does not include updates' };
+    }
+
+    return { channels: user.betaAccess ? CHANNELS : ['stable'] };
+}
+
+// Client update check - ?version=1.2.3&channel=stable|beta&sessionId=
+// Anyone may ask whether a build is outdated; a live client session also gets a download link.
+// updateRequired means the build is older than the latest release's minimum supported version.
+app.get('/api/client/version', async (req, res) => {
+    const { version, sessionId } = req.query;
+    const channel = req.query.channel || 'stable';
+
+    if (version && !isValidVersion(version)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Version must look like 1.2.3'
+        });
+    }
+    if (!CHANNELS.includes(channel)) {
+        return res.status(400).json({
+            success: false,
+            message: `Channel must be one of: ${CHANNELS.join(', ')}`
+        });
+    }
+
+    try {
+        let user = null;
+        let access = { error: 'Log in to download updates' };
+
+        if (sessionId) {
+            const session = await clientSessions.find(sessionId);
+            if (!session || !isLive(session)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session expired. Please log in again.'
+                });
+            }
+            user = await getUserById(session.userId);
+            access = user ? await getDownloadAccess(user) : access;
+        }
+
+        if (channel === 'beta' && !access.channels?.includes('beta')) {
+            return res.status(403).json({
+                success: false,
+                message: 'This account does not have beta access'
+            });
+        }
+
+        const latest = await releases.latest(channel === 'beta' ? CHANNELS : ['stable']);
+        if (!latest) {
+            return res.json({
+                success: true,
+                latest: null,
+                updateAvailable: false,
+                updateRequired: false
+            });
+        }
+
+        const updateAvailable = !version || compareVersions(latest.version, version) > 0;
+        const updateRequired = !!version && !!latest.minSupportedVersion && compareVersions(version, latest.minSupportedVersion) < 0;
+
+        res.json({
+            success: true,
+            latest: toPublicRelease(latest),
+            updateAvailable,
+            updateRequired,
+            download: updateAvailable && access.channels ? await releases.createDownloadUrl(latest, user) : null,
+            downloadError: updateAvailable && !access.channels ? access.error : undefined
+        });
+    } catch (error) {
+        console.error('Client version check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Releases the logged-in user can download (dashboard)
+app.get('/api/releases', requireAuth, async (req, res) => {
+    try {
+        const access = await getDownloadAccess(req.user);
+        if (access.error) {
+            return res.json({
+                success: true,
+                releases: [],
+                message: access.error
+            });
+        }
+
+        const available = (await releases.list()).filter(release => access.channels.includes(release.channel) && release.sha256);
+
+        res.json({
+            success: true,
+            releases: available.slice(0, 10).map(toPublicRelease)
+        });
+    } catch (error) {
+        console.error('List releases error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Signed, short-lived download link for a release (dashboard)
+app.post('/api/releases/:releaseId/download-link', requireAuth, async (req, res) => {
+    try {
+        const access = await getDownloadAccess(req.user);
+        if (access.error) {
+            return res.status(403).json({
+                success: false,
+                message: access.error
+            });
+        }
+
+        const release = await releases.get(req.params.releaseId);
+        if (!release || !release.published || !release.sha256 || !access.channels.includes(release.channel)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Release not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...(await releases.createDownloadUrl(release, req.user))
+        });
+    } catch (error) {
+        console.error('Create download link error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Download a build through a signed link - the license is checked again in case it changed
+app.get('/api/releases/:releaseId/download', async (req, res) => {
+    try {
+        const userId = await releases.verifyDownload(req.params.releaseId, req.query);
+        if (!userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Download link is invalid or has expired'
+            });
+        }
+
+        const [release, user] = await Promise.all([releases.get(req.params.releaseId), getUserById(userId)]);
+        const access = user ? await getDownloadAccess(user) : { error: 'Account not found' };
+        if (access.error) {
+            return res.status(403).json({
+                success: false,
+                message: access.error
+            });
+        }
+        if (!release || !release.published || !release.sha256 || !access.channels.includes(release.channel)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Release not found'
+            });
+        }
+
+        await audit.record({ type: 'release.downloaded', req, actor: user, target: user, details: { version: release.version, channel: release.channel } });
+
+        res.setHeader('X-Content-SHA256', release.sha256);
+        res.download(releases.getFilePath(release), release.fileName, (error) => {
+            if (error && !res.headersSent) {
+                console.error('Release download error:', error);
+                res.status(404).json({
+                    success: false,
+                    message: 'Build file is missing'
+                });
+            }
+        });
+    } catch (error) {
+        console.error('Release download error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Every release including unpublished drafts (Admin)
+app.get('/api/releases/all', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            releases: await releases.list({ includeUnpublished: true })
+        });
+    } catch (error) {
+        console.error('List all releases error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create a draft release (Admin) - { version, channel, changelog, minSupportedVersion }
+app.post('/api/releases', requireRole('admin'), async (req, res) => {
+    try {
+        const { error, release } = await releases.create(req.body, req.user);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await audit.record({ type: 'release.created', req, actor: req.user, details: { releaseId: release.id, version: release.version, channel: release.channel } });
+        console.log(`📦 Release ${release.version} (${release.channel}) created by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            release
+        });
+    } catch (error) {
+        console.error('Create release error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Upload the build (Admin) - raw request body, file name in ?fileName=
+app.put('/api/releases/:releaseId/file', requireRole('admin'), async (req, res) => {
+    try {
+        const release = await releases.get(req.params.releaseId);
+        if (!release) {
+            return res.status(404).json({
+                success: false,
+                message: 'Release not found'
+            });
+        }
+
+        const result = await releases.storeFile(release, req, req.query.fileName);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        await audit.record({
+            type: 'release.uploaded',
+            req,
+            actor: req.user,
+            details: { releaseId: release.id, version: release.version, sha256: result.release.sha256, size: result.release.size }
+        });
+        console.log(`📦 Build for ${release.version} uploaded by ${req.user.username} (${result.release.sha256})`);
+
+        res.json({
+            success: true,
+            release: result.release
+        });
+    } catch (error) {
+        console.error('Upload release error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Upload failed'
+        });
+    }
+});
+
+// Edit or publish a release (Admin) - { channel, changelog, minSupportedVersion, published }
+app.put('/api/releases/:releaseId', requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await releases.get(req.params.releaseId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Release not found'
+            });
+        }
+
+        const { error, release } = await releases.update(existing, req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await audit.record({ type: 'release.updated', req, actor: req.user, details: { releaseId: release.id, version: release.version, changes: req.body } });
+
+        res.json({
+            success: true,
+            release
+        });
+    } catch (error) {
+        console.error('Update release error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== DEVICES ====================
+
+// List the user's activated devices
+app.get('/api/devices', requireAuth, async (req, res) => {
+    try {
+        const user = await getUserById(req.session.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const packages = await catalog.getMap();
+
+        res.json({
+            success: true,
+            devices: getDevices(user),
+            seatLimit: getSeatLimit(user, packages),
+            cooldownEndsAt: getDeactivationCooldownEnd(user)
+        });
+    } catch (error) {
+        console.error('Get devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Rename a device
+app.post('/api/devices/label', requireAuth, async (req, res) => {
+    const { hwid, label } = req.body;
+
+    if (!hwid) {
+        return res.status(400).json({
+            success: false,
+            message: 'Missing required fields'
+        });
+    }
+
+    try {
+        const user = await getUserById(req.session.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const devices = getDevices(user);
+        const device = devices.find(d => d.hwid === hwid);
+
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        device.label = label ? String(label).slice(0, 64) : null;
+        await updateUser(user.id, { devices, hwid: null, hwidLockedAt: null });
+
+        res.json({
+            success: true,
+            message: 'Device renamed'
+        });
+    } catch (error) {
+        console.error('Rename device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Deactivate a device to free its seat (rate limited by a cooldown)
+app.post('/api/devices/deactivate', requireAuth, async (req, res) => {
+    const { hwid } = req.body;
+
+    if (!hwid) {
+        return res.status(400).json({
+            success: false,
+            message: 'Missing required fields'
+        });
+    }
+
+    try {
+        const user = await getUserById(req.session.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const devices = getDevices(user);
+        if (!devices.some(d => d.hwid === hwid)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        const cooldownEndsAt = getDeactivationCooldownEnd(user);
+        if (cooldownEndsAt) {
+            return res.status(429).json({
+                success: false,
+                message: `You can deactivate another device after ${new Date(cooldownEndsAt).toLocaleString()}`,
+                cooldownEndsAt
+            });
+        }
+
+        await updateUser(user.id, {
+            devices: devices.filter(d => d.hwid !== hwid),
+            hwid: null,
+            hwidLockedAt: null,
+            lastDeviceDeactivatedAt: new Date().toISOString()
+        });
+
+        await audit.record({ type: 'device.deactivated', req, actor: user, target: user, hwid });
+        emitWebhookEvent('hwid.reset', user, { hwids: [hwid], resetBy: 'user' });
+        console.log(`Device ${hwid} deactivated by user ${user.id}`);
+
+        res.json({
+            success: true,
+            message: 'Device deactivated'
+        });
+    } catch (error) {
+        console.error('Deactivate device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// What staff see of an account - support only gets the subscription status and package
+function toStaffUserView(userData, { packages, canSeeBilling, activeSessions }) {
+    return {
+        id: userData.id,
+        username: userData.username,
+        email: userData.email || null,
+        emailVerified: !!userData.emailVerified,
+        role: getRole(userData),
+        twoFactorEnabled: !!userData.twoFactor?.enabled,
+        betaAccess: !!userData.betaAccess,
+        trialUsedAt: userData.trialUsedAt || null,
+        restriction: getActiveRestriction(userData),
+        createdAt: userData.createdAt,
+        lastLogin: userData.lastLogin,
+        devices: getDevices(userData),
+        seatLimit: getSeatLimit(userData, packages),
+        activeSessions,
+        isLocked: getDevices(userData).length > 0,
+        subscription: canSeeBilling ? userData.subscription : {
+            status: userData.subscription?.status,
+            package: userData.subscription?.package
+        },
+        stats: userData.stats
+    };
+}
+
+// Parse ?search=&status=&package=&hwidLocked=&lastLoginFrom=&lastLoginTo=&sort=&order=
+// into userDirectory.list filters. Returns { error } or { filters }
+function parseUserFilters(query) {
+    for (const date of [query.lastLoginFrom, query.lastLoginTo]) {
+        if (date && isNaN(new Date(date).getTime())) {
+            return { error: 'lastLoginFrom and lastLoginTo must be valid dates' };
+        }
+    }
+
+    const sort = query.sort || 'createdAt';
+    if (!SORT_FIELDS[sort]) {
+        return { error: `Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+    }
+
+    const order = query.order || 'desc';
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'Order must be asc or desc' };
+    }
+
+    if (query.hwidLocked && !['true', 'false'].includes(query.hwidLocked)) {
+        return { error: 'hwidLocked must be true or false' };
+    }
+
+    return {
+        filters: {
+            search: query.search ? String(query.search).trim() || undefined : undefined,
+            status: query.status || undefined,
+            package: query.package || undefined,
+            hwidLocked: query.hwidLocked ? query.hwidLocked === 'true' : undefined,
+            lastLoginFrom: query.lastLoginFrom || undefined,
+            lastLoginTo: query.lastLoginTo || undefined,
+            sort,
+            order
+        }
+    };
+}
+
+// Staff views of a page of users, with their running client session counts
+async function toStaffUserViews(docs, canSeeBilling) {
+    const packages = await catalog.getMap();
+    const sessionCounts = {};
+    for (const session of await clientSessions.listActive()) {
+        sessionCounts[session.userId] = (sessionCounts[session.userId] || 0) + 1;
+    }
+    return docs.map(userData => toStaffUserView(userData, {
+        packages,
+        canSeeBilling,
+        activeSessions: sessionCounts[userData.id] || 0
+    }));
+}
+
+// List users (Support/Admin - billing data is admin only)
+// Same filters as parseUserFilters plus ?cursor=&limit=
+app.get('/api/users', requireRoleOrApiKey('users:read', 'support', 'admin'), async (req, res) => {
+    const canSeeBilling = getRole(req.user) === 'admin';
+
+    try {
+        const { error, filters } = parseUserFilters(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        const { users, nextCursor } = await userDirectory.list({ ...filters, cursor: req.query.cursor, limit });
+
+        res.json({
+            success: true,
+            users: await toStaffUserViews(users, canSeeBilling),
+            nextCursor
+        });
+
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor - start again from the first page'
+            });
+        }
+        console.error('Get users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Export the filtered user list as CSV or JSONL (Support/Admin) - same filters as /api/users
+app.get('/api/users/export', requireRoleOrApiKey('users:read', 'support', 'admin'), async (req, res) => {
+    const canSeeBilling = getRole(req.user) === 'admin';
+
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'jsonl'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be csv or jsonl'
+            });
+        }
+
+        const { error, filters } = parseUserFilters(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { users } = await userDirectory.list({ ...filters, limit: MAX_EXPORT_ROWS });
+        const rows = await toStaffUserViews(users, canSeeBilling);
+        const filename = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'jsonl') {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            return res.send(rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : ''));
+        }
+
+        const columns = [
+            { header: 'id', value: user => user.id },
+            { header: 'username', value: user => user.username },
+            { header: 'email', value: user => user.email },
+            { header: 'email_verified', value: user => user.emailVerified },
+            { header: 'role', value: user => user.role },
+            { header: 'restriction', value: user => user.restriction?.type },
+            { header: 'status', value: user => user.subscription?.status },
+            { header: 'package', value: user => user.subscription?.package },
+            { header: 'created_at', value: user => user.createdAt },
+            { header: 'last_login', value: user => user.lastLogin },
+            { header: 'devices', value: user => user.devices.map(device => device.hwid).join(' ') },
+            { header: 'seat_limit', value: user => user.seatLimit },
+            { header: 'active_sessions', value: user => user.activeSessions }
+        ];
+        if (canSeeBilling) {
+            columns.push(
+                { header: 'source', value: user => user.subscription?.source },
+                { header: 'current_period_end', value: user => user.subscription?.currentPeriodEnd },
+                { header: 'stripe_customer_id', value: user => user.subscription?.stripeCustomerId }
+            );
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.send(toCsv(rows, columns));
+    } catch (error) {
+        console.error('Export users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Reset HWID (Support/Admin) - frees one device when hwid is given, otherwise all of them
+app.post('/api/reset-hwid', requireRoleOrApiKey('hwid:reset', 'support', 'admin'), async (req, res) => {
+    const { username, hwid } = req.body;
+
+    if (!username) {
+        return res.status(400).json({
+            success: false,
+            message: 'Username required'
+        });
+    }
+
+    try {
+        const user = await getUserByUsername(username);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const devices = getDevices(user);
+        const remaining = hwid ? devices.filter(d => d.hwid !== hwid) : [];
+
+        if (remaining.length === devices.length) {
+            return res.status(400).json({
+                success: false,
+                message: hwid ? 'Device not found for this user' : 'User is not hardware locked'
+            });
+        }
+
+        await updateUser(user.id, {
+            devices: remaining,
+            hwid: null,
+            hwidLockedAt: null
+        });
+
+        await audit.record({
+            type: 'hwid.reset',
+            req,
+            actor: req.user,
+            target: user,
+            hwid: hwid || null,
+            details: { devicesRemoved: devices.length - remaining.length }
+        });
+        emitWebhookEvent('hwid.reset', user, {
+            hwids: devices.filter(d => !remaining.includes(d)).map(d => d.hwid),
+            resetBy: req.user.username
+        });
+        console.log(`Hardware lock reset for ${username}${hwid ? ` (device ${hwid})` : ''} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: `Hardware lock reset for ${username}`
+        });
+
+    } catch (error) {
+        console.error('Reset HWID error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== USER MANAGEMENT ====================
+
+const MAX_GRANT_DAYS = 3650;
+
+// Loads req.params.userId as req.targetUser and requires an admin note (req.adminNote)
+// for the action. Only admins may act on staff accounts, and nobody on their own.
+async function loadManagedUser(req, res, next) {
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+    if (note.length < 3) {
+        return res.status(400).json({
+            success: false,
+            message: 'An admin note is required'
+        });
+    }
+
+    try {
+        const target = await getUserById(req.params.userId);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        if (target.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot manage your own account'
+            });
+        }
+        if (STAFF_ROLES.includes(getRole(target)) && getRole(req.user) !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only admins can manage staff accounts'
+            });
+        }
+
+        req.targetUser = target;
+        req.adminNote = note.slice(0, 1000);
+        next();
+    } catch (error) {
+        console.error('Load managed user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+}
+
+// Keep the note on the account and in the audit log
+async function recordAdminAction(req, action, details = null) {
+    const entry = {
+        at: new Date().toISOString(),
+        by: req.user.username,
+        action,
+        note: req.adminNote
+    };
+    if (action !== 'delete') {
+        await updateUser(req.targetUser.id, { adminNotes: [...(req.targetUser.adminNotes || []), entry] });
+    }
+    await audit.record({
+        type: `admin.${action}`,
+        req,
+        actor: req.user,
+        target: req.targetUser,
+        details: { note: req.adminNote, ...details }
+    });
+    console.log(`👮 ${req.user.username}: ${action} on ${req.targetUser.username} - ${req.adminNote}`);
+}
+
+// Ends every web and client session of the account. Returns how many were ended.
+async function logoutEverywhere(user) {
+    await updateUser(user.id, { sessionVersion: increment(1) });
+    const web = await webSessions.revokeAll(user.id);
+    return web + await clientSessions.revokeAll(user.id, 'admin');
+}
+
+function isStripeManaged(subscription) {
+    return !!subscription?.stripeSubscriptionId
+        && !['key', 'manual'].includes(subscription.source)
+        && ['trialing', 'active', 'past_due'].includes(subscription.status);
+}
+
+// Account details including admin notes (Support/Admin)
+app.get('/api/users/:userId', requireRoleOrApiKey('users:read', 'support', 'admin'), async (req, res) => {
+    try {
+        const user = await getUserById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const packages = await catalog.getMap();
+        const sessions = await clientSessions.listActive(user.id);
+
+        res.json({
+            success: true,
+            user: {
+                ...toStaffUserView(user, {
+                    packages,
+                    canSeeBilling: getRole(req.user) === 'admin',
+                    activeSessions: sessions.length
+                }),
+                adminNotes: user.adminNotes || []
+            }
+        });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Add a note without any other change (Support/Admin)
+app.post('/api/users/:userId/notes', requireRole('support', 'admin'), loadManagedUser, async (req, res) => {
+    try {
+        await recordAdminAction(req, 'note');
+        res.json({
+            success: true,
+            message: 'Note added'
+        });
+    } catch (error) {
+        console.error('Add note error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Ban or suspend an account (Support/Admin)
+// { type: 'banned' | 'suspended', reason, until?, note } - until only applies to suspensions
+app.post('/api/users/:userId/restrict', requireRole('support', 'admin'), loadManagedUser, async (req, res) => {
+    const { type, reason, until } = req.body;
+
+    if (!RESTRICTION_TYPES.includes(type)) {
+        return res.status(400).json({
+            success: false,
+            message: `Type must be one of: ${RESTRICTION_TYPES.join(', ')}`
+        });
+    }
+    if (!reason || !String(reason).trim()) {
+        return res.status(400).json({
+            success: false,
+            message: 'A reason is required - it is shown to the user'
+        });
+    }
+    if (until && (type !== 'suspended' || isNaN(new Date(until).getTime()) || new Date(until) <= new Date())) {
+        return res.status(400).json({
+            success: false,
+            message: 'Until must be a future date and only applies to suspensions'
+        });
+    }
+
+    try {
+        const restriction = {
+            type,
+            reason: String(reason).trim().slice(0, 500),
+            until: until ? new Date(until).toISOString() : null,
+            by: req.user.username,
+            at: new Date().toISOString()
+        };
+
+        await updateUser(req.targetUser.id, { restriction });
+        const sessions = await logoutEverywhere(req.targetUser);
+        await recordAdminAction(req, type === 'banned' ? 'ban' : 'suspend', { reason: restriction.reason, until: restriction.until, sessionsEnded: sessions });
+
+        res.json({
+            success: true,
+            message: `${req.targetUser.username} ${type === 'banned' ? 'banned' : 'suspended'}`,
+            restriction
+        });
+    } catch (error) {
+        console.error('Restrict user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Lift a ban or suspension (Support/Admin)
+app.post('/api/users/:userId/unrestrict', requireRole('support', 'admin'), loadManagedUser, async (req, res) => {
+    try {
+        if (!getActiveRestriction(req.targetUser)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This account is not banned or suspended'
+            });
+        }
+
+        await updateUser(req.targetUser.id, { restriction: null });
+        await recordAdminAction(req, 'unrestrict', { previous: req.targetUser.restriction });
+
+        res.json({
+            success: true,
+            message: `Restriction lifted for ${req.targetUser.username}`
+        });
+    } catch (error) {
+        console.error('Unrestrict user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Log the account out of the dashboard and the client everywhere (Support/Admin)
+app.post('/api/users/:userId/force-logout', requireRole('support', 'admin'), loadManagedUser, async (req, res) => {
+    try {
+        const sessions = await logoutEverywhere(req.targetUser);
+        await recordAdminAction(req, 'force_logout', { sessionsEnded: sessions });
+
+        res.json({
+            success: true,
+            message: `${req.targetUser.username} logged out everywhere`
+        });
+    } catch (error) {
+        console.error('Force logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Allow or stop beta channel downloads (Admin) - { enabled, note }
+app.post('/api/users/:userId/beta', requireRole('admin'), loadManagedUser, async (req, res) => {
+    const enabled = req.body.enabled === true;
+
+    try {
+        await updateUser(req.targetUser.id, { betaAccess: enabled });
+        await recordAdminAction(req, enabled ? 'beta_enabled' : 'beta_disabled');
+
+        res.json({
+            success: true,
+            message: `Beta access ${enabled ? 'enabled' : 'disabled'} for ${req.targetUser.username}`
+        });
+    } catch (error) {
+        console.error('Beta access error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Grant a license by hand (Admin) - { package, days?, note }, no days means no expiry
+app.post('/api/users/:userId/grant-license', requireRoleOrApiKey('licenses:write', 'admin'), loadManagedUser, async (req, res) => {
+    const days = req.body.days ? parseInt(req.body.days, 10) : null;
+
+    if (days !== null && !(days >= 1 && days <= MAX_GRANT_DAYS)) {
+        return res.status(400).json({
+            success: false,
+            message: `Days must be between 1 and ${MAX_GRANT_DAYS}`
+        });
+    }
+
+    try {
+        const pkg = await catalog.get(req.body.package);
+        if (!pkg) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown package'
+            });
+        }
+
+        if (isStripeManaged(req.targetUser.subscription)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This user has an active Stripe subscription. Change it in Stripe or cancel it first.'
+            });
+        }
+
+        const now = new Date();
+        const currentPeriodEnd = days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+        await updateUser(req.targetUser.id, {
+            'subscription.status': 'active',
+            'subscription.package': pkg.id,
+            'subscription.source': 'manual',
+            'subscription.currentPeriodEnd': currentPeriodEnd,
+            'subscription.activatedAt': now.toISOString(),
+            'subscription.cancelledAt': null,
+            'subscription.pastDueSince': null,
+            'subscription.graceEndsAt': null,
+            'subscription.paymentUpdateUrl': null
+        });
+        await recordAdminAction(req, 'grant_license', { package: pkg.id, days, currentPeriodEnd });
+        emitWebhookEvent('license.activated', req.targetUser, { package: pkg.id, status: 'active', source: 'manual', currentPeriodEnd });
+
+        res.json({
+            success: true,
+            message: `Granted ${pkg.name} to ${req.targetUser.username}${currentPeriodEnd ? ` until ${currentPeriodEnd}` : ''}`,
+            currentPeriodEnd
+        });
+    } catch (error) {
+        console.error('Grant license error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Push back the end of a key-redeemed or hand-granted license (Admin) - { days, note }
+app.post('/api/users/:userId/extend', requireRoleOrApiKey('licenses:write', 'admin'), loadManagedUser, async (req, res) => {
+    const days = parseInt(req.body.days, 10);
+
+    if (!(days >= 1 && days <= MAX_GRANT_DAYS)) {
+        return res.status(400).json({
+            success: false,
+            message: `Days must be between 1 and ${MAX_GRANT_DAYS}`
+        });
+    }
+
+    try {
+        const subscription = req.targetUser.subscription || {};
+
+        if (!['key', 'manual'].includes(subscription.source) || subscription.status !== 'active') {
+            return res.status(409).json({
+                success: false,
+                message: 'Only active key or manually granted licenses can be extended. Stripe subscriptions renew in Stripe.'
+            });
+        }
+        if (!subscription.currentPeriodEnd) {
+            return res.status(400).json({
+                success: false,
+                message: 'This license does not expire'
+            });
+        }
+
+        // Extend from now when the license has already run out
+        const currentEnd = new Date(subscription.currentPeriodEnd);
+        const base = currentEnd > new Date() ? currentEnd : new Date();
+        const currentPeriodEnd = new Date(base.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+
+        await updateUser(req.targetUser.id, { 'subscription.currentPeriodEnd': currentPeriodEnd });
+        await recordAdminAction(req, 'extend_license', { days, from: subscription.currentPeriodEnd, to: currentPeriodEnd });
+
+        res.json({
+            success: true,
+            message: `License for ${req.targetUser.username} now ends ${currentPeriodEnd}`,
+            currentPeriodEnd
+        });
+    } catch (error) {
+        console.error('Extend license error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Move the account to another package (Admin) - { package, note }
+// Seats, sessions and entitlements follow the package; Stripe billing is not touched.
+app.post('/api/users/:userId/package', requireRoleOrApiKey('licenses:write', 'admin'), loadManagedUser, async (req, res) => {
+    try {
+        const pkg = await catalog.get(req.body.package);
+        if (!pkg) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown package'
+            });
+        }
+
+        const previous = req.targetUser.subscription?.package || null;
+        await updateUser(req.targetUser.id, { 'subscription.package': pkg.id });
+        await recordAdminAction(req, 'change_package', { from: previous, to: pkg.id });
+
+        res.json({
+            success: true,
+            message: `${req.targetUser.username} moved to ${pkg.name}${isStripeManaged(req.targetUser.subscription) ? ' (Stripe billing unchanged)' : ''}`
+        });
+    } catch (error) {
+        console.error('Change package error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delete an account (Admin) - { note }. The Stripe customer is deleted too, which cancels
+// any subscription it still has.
+app.delete('/api/users/:userId', requireRole('admin'), loadManagedUser, async (req, res) => {
+    const user = req.targetUser;
+    const customerId = user.subscription?.stripeCustomerId;
+
+    try {
+        if (customerId) {
+            try {
+                await stripe.customers.del(customerId);
+            } catch (error) {
+                if (error.code !== 'resource_missing') {
+                    console.error(`Stripe customer delete failed for ${customerId}:`, error.message);
+                    return res.status(502).json({
+                        success: false,
+                        message: `Could not delete the Stripe customer: ${error.message}`
+                    });
+                }
+            }
+        }
+
+        await webSessions.revokeAll(user.id);
+        await clientSessions.revokeAll(user.id, 'admin');
+        await usersCollection.delete(user.id);
+        await recordAdminAction(req, 'delete', { username: user.username, email: user.email || null, stripeCustomerId: customerId || null });
+
+        res.json({
+            success: true,
+            message: `Account ${user.username} deleted`
+        });
+    } catch (error) {
+        console.error('Delete user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== API KEYS ====================
+
+// Keys without their secret (only the hash is stored anyway) - the id is the key's hash
+function toApiKeyView(apiKey) {
+    const now = new Date();
+    return {
+        ...apiKey,
+        status: apiKey.revokedAt ? 'revoked' : (apiKey.expiresAt && new Date(apiKey.expiresAt) <= now ? 'expired' : 'active')
+    };
+}
+
+// List API keys and when they were last used (Admin)
+app.get('/api/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+        const keys = await apiKeys.list();
+        res.json({
+            success: true,
+            scopes: SCOPES,
+            apiKeys: keys.map(toApiKeyView)
+        });
+    } catch (error) {
+        console.error('List API keys error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Issue an API key (Admin) - { name, scopes, expiresAt, allowedIps }
+// The key is in this response only; it can't be shown again.
+app.post('/api/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+        const { allowedIps } = req.body;
+        if (allowedIps !== undefined && !Array.isArray(allowedIps)) {
+            return res.status(400).json({
+                success: false,
+                message: 'allowedIps must be a list'
+            });
+        }
+
+        const { error, key, apiKey } = await apiKeys.create(req.body, req.user);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await audit.record({
+            type: 'api_key.created',
+            req,
+            actor: req.user,
+            details: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes, allowedIps: apiKey.allowedIps, expiresAt: apiKey.expiresAt }
+        });
+        console.log(`🔑 ${req.user.username} created API key ${apiKey.name} (${apiKey.scopes.join(', ')})`);
+
+        res.json({
+            success: true,
+            key,
+            apiKey: toApiKeyView(apiKey)
+        });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Revoke an API key (Admin) - takes effect on its next request
+app.post('/api/api-keys/:keyId/revoke', requireRole('admin'), async (req, res) => {
+    try {
+        const apiKey = await apiKeys.get(req.params.keyId);
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+        if (apiKey.revokedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'API key is already revoked'
+            });
+        }
+
+        await apiKeys.revoke(apiKey, req.user);
+        await audit.record({ type: 'api_key.revoked', req, actor: req.user, details: { name: apiKey.name, prefix: apiKey.prefix } });
+        console.log(`🔑 ${req.user.username} revoked API key ${apiKey.name}`);
+
+        res.json({
+            success: true,
+            message: `API key ${apiKey.name} revoked`
+        });
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== OUTBOUND WEBHOOKS ====================
+
+// Registered endpoints - their signing secrets are never listed (Admin)
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        const endpoints = await webhooks.listEndpoints();
+        res.json({
+            success: true,
+            events: WEBHOOK_EVENTS,
+            endpoints
+        });
+    } catch (error) {
+        console.error('List webhooks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Register an endpoint (Admin) - { url, events, description }
+// The signing secret is in this response only.
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        const { error, endpoint, secret } = await webhooks.createEndpoint(req.body, req.user);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await audit.record({ type: 'webhook.created', req, actor: req.user, details: { endpointId: endpoint.id, url: endpoint.url, events: endpoint.events } });
+        console.log(`🪝 ${req.user.username} registered webhook ${endpoint.url} (${endpoint.events.join(', ')})`);
+
+        res.json({
+            success: true,
+            endpoint,
+            secret
+        });
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Change an endpoint's url, events, description or pause it (Admin) - { url, events, description, active }
+app.put('/api/webhooks/:endpointId', requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await webhooks.getEndpoint(req.params.endpointId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook endpoint not found'
+            });
+        }
+
+        const { error, endpoint } = await webhooks.updateEndpoint(existing, req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await audit.record({ type: 'webhook.updated', req, actor: req.user, details: { endpointId: endpoint.id, url: endpoint.url, events: endpoint.events, active: endpoint.active } });
+
+        res.json({
+            success: true,
+            endpoint
+        });
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Remove an endpoint (Admin) - its deliveries stay in the log
+app.delete('/api/webhooks/:endpointId', requireRole('admin'), async (req, res) => {
+    try {
+        const endpoint = await webhooks.getEndpoint(req.params.endpointId);
+        if (!endpoint) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook endpoint not found'
+            });
+        }
+
+        await webhooks.deleteEndpoint(endpoint);
+        await audit.record({ type: 'webhook.deleted', req, actor: req.user, details: { endpointId: endpoint.id, url: endpoint.url } });
+        console.log(`🪝 ${req.user.username} removed webhook ${endpoint.url}`);
+
+        res.json({
+            success: true,
+            message: 'Webhook endpoint removed'
+        });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Send a webhook.test event to an endpoint right away and report the result (Admin)
+app.post('/api/webhooks/:endpointId/test', requireRole('admin'), async (req, res) => {
+    try {
+        const endpoint = await webhooks.getEndpoint(req.params.endpointId);
+        if (!endpoint) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook endpoint not found'
+            });
+        }
+
+        const delivery = await webhooks.sendTest(endpoint, req.user);
+
+        res.json({
+            success: delivery.status === 'delivered',
+            message: delivery.status === 'delivered'
+                ? `Test event delivered (HTTP ${delivery.lastStatusCode})`
+                : `Test event failed: ${delivery.lastError}`,
+            delivery
+        });
+    } catch (error) {
+        console.error('Test webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delivery log, newest first (Admin) - ?endpointId= to show one endpoint, ?limit= up to 200
+app.get('/api/webhook-deliveries', requireRole('admin'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const deliveries = await webhooks.listDeliveries({ endpointId: req.query.endpointId || undefined, limit });
+        res.json({
+            success: true,
+            deliveries
+        });
+    } catch (error) {
+        console.error('List webhook deliveries error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Send a delivery again now (Admin) - the same event id and payload, freshly signed
+app.post('/api/webhook-deliveries/:deliveryId/redeliver', requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await webhooks.getDelivery(req.params.deliveryId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found'
+            });
+        }
+
+        const delivery = await webhooks.redeliver(existing);
+        await audit.record({ type: 'webhook.redelivered', req, actor: req.user, details: { deliveryId: delivery.id, eventId: delivery.eventId, status: delivery.status } });
+
+        res.json({
+            success: delivery.status === 'delivered',
+            message: delivery.status === 'delivered'
+                ? `Delivered (HTTP ${delivery.lastStatusCode})`
+                : `Delivery failed: ${delivery.lastError}`,
+            delivery
+        });
+    } catch (error) {
+        console.error('Redeliver webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== LICENSE TOKEN KEYS ====================
+
+// Public keys for offline verification of license tokens (active + recently retired)
+app.get('/api/license/public-keys', async (req, res) => {
+    try {
+        const keys = await licenseTokens.listPublicKeys();
+        res.json({
+            success: true,
+            keys
+        });
+    } catch (error) {
+        console.error('Get public keys error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Rotate the license signing key (Admin)
+app.post('/api/license/keys/rotate', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await licenseTokens.rotateKey();
+        if (result.error) {
+            return res.status(409).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        await audit.record({
+            type: 'license.signing_key_rotated',
+            req,
+            actor: req.user,
+            details: { kid: result.kid, retired: result.retired }
+        });
+        console.log(`License signing key rotated to ${result.kid} by ${req.user.username}`);
+        res.json({
+            success: true,
+            message: 'Signing key rotated',
+            ...result
+        });
+    } catch (error) {
+        console.error('Rotate key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== LICENSE KEYS ====================
+
+const MAX_KEYS_PER_BATCH = 1000;
+
+// Create a batch of license keys (Admin)
+app.post('/api/license-keys/batches', requireRole('admin'), async (req, res) => {
+    const { name, package: packageType, expiresAt } = req.body;
+    const count = parseInt(req.body.count, 10);
+    const maxRedemptions = parseInt(req.body.maxRedemptions, 10) || 1;
+    const durationDays = req.body.durationDays ? parseInt(req.body.durationDays, 10) : null;
+
+    if (!count || count < 1 || count > MAX_KEYS_PER_BATCH) {
+        return res.status(400).json({
+            success: false,
+            message: `Count must be between 1 and ${MAX_KEYS_PER_BATCH}`
+        });
+    }
+
+    if (expiresAt && isNaN(new Date(expiresAt))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid expiry date'
+        });
+    }
+
+    try {
+        const pkg = await catalog.get(packageType);
+        if (!pkg) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown package'
+            });
+        }
+
+        // Subscription packages are sold by duration, one-time packages are permanent
+        if (pkg.mode === 'subscription' && !(durationDays > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subscription package keys need a duration in days'
+            });
+        }
+
+        const now = new Date().toISOString();
+        const batch = await licenseKeyBatchesCollection.add({
+            name: name || `${packageType} batch`,
+            package: packageType,
+            durationDays: pkg.mode === 'payment' ? null : durationDays,
+            maxRedemptions,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            count,
+            status: 'active',
+            createdBy: req.user.username,
+            createdAt: now
+        });
+
+        const codes = [];
+        while (codes.length < count) {
+            const code = generateLicenseKey();
+            if (codes.includes(code) || await licenseKeysCollection.get(code)) continue;
+
+            await licenseKeysCollection.set(code, {
+                batchId: batch.id,
+                package: batch.package,
+                durationDays: batch.durationDays,
+                maxRedemptions,
+                redemptionCount: 0,
+                redemptions: [],
+                expiresAt: batch.expiresAt,
+                status: 'active',
+                createdAt: now,
+                revokedAt: null,
+                revokedBy: null
+            });
+            codes.push(code);
+        }
+
+        await audit.record({
+            type: 'license.key_batch_created',
+            req,
+            actor: req.user,
+            details: { batchId: batch.id, name: batch.name, package: batch.package, count, durationDays: batch.durationDays, maxRedemptions, expiresAt: batch.expiresAt }
+        });
+        console.log(`🔑 ${req.user.username} created license key batch ${batch.id} (${count} x ${packageType})`);
+
+        res.json({
+            success: true,
+            batch,
+            keys: codes
+        });
+    } catch (error) {
+        console.error('Create key batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// List license key batches (Admin)
+app.get('/api/license-keys/batches', requireRole('admin'), async (req, res) => {
+    try {
+        const batches = await licenseKeyBatchesCollection.find({ orderBy: [['createdAt', 'desc']] });
+        res.json({
+            success: true,
+            batches
+        });
+    } catch (error) {
+        console.error('List key batches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Export a batch's keys as CSV (Admin)
+app.get('/api/license-keys/batches/:batchId/export', requireRole('admin'), async (req, res) => {
+    try {
+        const batch = await licenseKeyBatchesCollection.get(req.params.batchId);
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        const keys = await licenseKeysCollection.find({ where: [['batchId', '==', batch.id]] });
+        const csv = toCsv(keys, [
+            { header: 'key', value: key => key.id },
+            { header: 'package', value: key => key.package },
+            { header: 'duration_days', value: key => key.durationDays },
+            { header: 'max_redemptions', value: key => key.maxRedemptions },
+            { header: 'redemptions', value: key => key.redemptionCount },
+            { header: 'status', value: key => key.status },
+            { header: 'expires_at', value: key => key.expiresAt }
+        ]);
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="license-keys-${batch.id}.csv"`);
+        res.send(csv);
+    } catch (error) {
+        console.error('Export key batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Revoke every key in a batch that isn't revoked yet (Admin) - partly and fully redeemed keys
+// included. Redemptions already made keep their access; the keys just can't be redeemed again.
+app.post('/api/license-keys/batches/:batchId/revoke', requireRole('admin'), async (req, res) => {
+    try {
+        const batch = await licenseKeyBatchesCollection.get(req.params.batchId);
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        const keys = await licenseKeysCollection.find({
+            where: [['batchId', '==', batch.id], ['status', '==', 'active']]
+        });
+        const redeemed = keys.filter(key => key.redemptionCount > 0).length;
+        const revokedAt = new Date().toISOString();
+
+        for (const key of keys) {
+            await licenseKeysCollection.update(key.id, { status: 'revoked', revokedAt, revokedBy: req.user.username });
+        }
+        await licenseKeyBatchesCollection.update(batch.id, { status: 'revoked' });
+
+        await audit.record({
+            type: 'license.key_batch_revoked',
+            req,
+            actor: req.user,
+            details: { batchId: batch.id, name: batch.name, revokedKeys: keys.length, redeemedKeys: redeemed }
+        });
+        console.log(`🔑 ${req.user.username} revoked batch ${batch.id} (${keys.length} keys)`);
+
+        res.json({
+            success: true,
+            message: `${keys.length} keys revoked (${redeemed} of them already redeemed at least once)`,
+            revoked: keys.length,
+            redeemed
+        });
+    } catch (error) {
+        console.error('Revoke key batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Look up a single key with its redemptions (Admin)
+app.get('/api/license-keys/:code', requireRole('admin'), async (req, res) => {
+    try {
+        const code = normalizeLicenseKey(req.params.code);
+        const key = code && await licenseKeysCollection.get(code);
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                message: 'License key not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            key
+        });
+    } catch (error) {
+        console.error('Get license key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Revoke a single key (Admin) - licenses already activated with it are not affected
+app.post('/api/license-keys/:code/revoke', requireRole('admin'), async (req, res) => {
+    try {
+        const code = normalizeLicenseKey(req.params.code);
+        const key = code && await licenseKeysCollection.get(code);
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                message: 'License key not found'
+            });
+        }
+
+        await licenseKeysCollection.update(key.id, {
+            status: 'revoked',
+            revokedAt: new Date().toISOString(),
+            revokedBy: req.user.username
+        });
+
+        await audit.record({
+            type: 'license.key_revoked',
+            req,
+            actor: req.user,
+            details: { key: key.id, batchId: key.batchId }
+        });
+        console.log(`🔑 ${req.user.username} revoked license key ${key.id}`);
+
+        res.json({
+            success: true,
+            message: 'License key revoked'
+        });
+    } catch (error) {
+        console.error('Revoke license key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Redeem a license key - activates or extends the logged-in user's license
+app.post('/api/redeem', requireAuth, async (req, res) => {
+    const code = normalizeLicenseKey(req.body.key);
+
+    if (!code) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid license key format'
+        });
+    }
+
+    try {
+        const [user, initialKey, packages] = await Promise.all([
+            getUserById(req.session.userId),
+            licenseKeysCollection.get(code),
+            catalog.getMap()
+        ]);
+        let key = initialKey;
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                message: 'License key not found'
+            });
+        }
+
+        // Claim a use only if nobody redeemed or revoked the key since we read it, so
+        // concurrent redeems can't go past maxRedemptions; on a clash re-check the fresh key
+        let redemption;
+        while (key) {
+            redemption = getRedemptionUpdates(user, key, packages);
+            if (redemption.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: redemption.error
+                });
+            }
+
+            const redeemedAt = new Date().toISOString();
+            const claimed = await licenseKeysCollection.updateIf(key.id, [
+                ['status', '==', 'active'],
+                ['redemptionCount', '==', key.redemptionCount || 0]
+            ], {
+                redemptionCount: (key.redemptionCount || 0) + 1,
+                redemptions: [...(key.redemptions || []), { userId: user.id, username: user.username, redeemedAt }]
+            });
+            if (claimed) break;
+            key = await licenseKeysCollection.get(code);
+        }
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                message: 'License key not found'
+            });
+        }
+
+        const { updates, currentPeriodEnd } = redemption;
+        await updateUser(user.id, updates);
+
+        await audit.record({
+            type: 'license.key_redeemed',
+            req,
+            actor: user,
+            target: user,
+            details: { key: key.id, package: updates['subscription.package'], currentPeriodEnd }
+        });
+        emitWebhookEvent('license.activated', user, {
+            package: updates['subscription.package'],
+            status: updates['subscription.status'],
+            source: updates['subscription.source'],
+            currentPeriodEnd
+        });
+        console.log(`🔑 License key ${key.id} redeemed by user ${user.id}`);
+
+        res.json({
+            success: true,
+            message: currentPeriodEnd
+                ? `License active until ${new Date(currentPeriodEnd).toDateString()}`
+                : `${packages[key.package].name} license activated`,
+            subscription: {
+                package: updates['subscription.package'],
+                currentPeriodEnd
+            }
+        });
+    } catch (error) {
+        console.error('Redeem key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== PROMO CODES ====================
+
+// List promo codes with their redemption counts (Admin)
+app.get('/api/promo-codes', requireRole('admin'), async (req, res) => {
+    try {
+        const codes = await promoCodes.list();
+        res.json({
+            success: true,
+            promoCodes: codes.map(({ reservations, revision, ...promoCode }) => ({
+                ...promoCode,
+                discount: describeDiscount(promoCode),
+                // Checkouts in progress holding a use of the code
+                pendingRedemptions: Object.keys(getPendingReservations({ reservations })).length
+            }))
+        });
+    } catch (error) {
+        console.error('List promo codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create a promo code (Admin) - { code, type: percent|fixed, value, currency, packages, maxRedemptions, expiresAt }
+app.post('/api/promo-codes', requireRole('admin'), async (req, res) => {
+    try {
+        const packages = await catalog.getMap();
+        const unknown = (Array.isArray(req.body.packages) ? req.body.packages : []).filter(id => !packages[id]);
+        if (unknown.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown package: ${unknown.join(', ')}`
+            });
+        }
+
+        const { error, promoCode } = await promoCodes.create(req.body, req.user);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await audit.record({ type: 'promo.created', req, actor: req.user, details: { code: promoCode.id, discount: describeDiscount(promoCode) } });
+        console.log(`🏷️ ${req.user.username} created promo code ${promoCode.id} (${describeDiscount(promoCode)})`);
+
+        res.json({
+            success: true,
+            promoCode
+        });
+    } catch (error) {
+        console.error('Create promo code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Stop a promo code from being used (Admin) - checkouts already started keep their discount
+app.post('/api/promo-codes/:code/deactivate', requireRole('admin'), async (req, res) => {
+    try {
+        const promoCode = await promoCodes.get(req.params.code);
+        if (!promoCode) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promo code not found'
+            });
+        }
+
+        await promoCodes.deactivate(promoCode, req.user);
+        await audit.record({ type: 'promo.deactivated', req, actor: req.user, details: { code: promoCode.id } });
+        console.log(`🏷️ ${req.user.username} deactivated promo code ${promoCode.id}`);
+
+        res.json({
+            success: true,
+            message: `Promo code ${promoCode.id} deactivated`
+        });
+    } catch (error) {
+        console.error('Deactivate promo code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== ANNOUNCEMENTS ====================
+
+// Live announcements for the website - the signed-in user's, or only those for everyone
+app.get('/api/announcements', async (req, res) => {
+    try {
+        const user = await loadSessionUser(req);
+        res.json({
+            success: true,
+            announcements: user ? await announcements.forUser(user) : await announcements.forPublic()
+        });
+    } catch (error) {
+        console.error('Get announcements error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Mark announcements as seen - { ids }
+app.post('/api/announcements/read', requireAuth, async (req, res) => {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length > 100) {
+        return res.status(400).json({
+            success: false,
+            message: 'ids must be a list of up to 100 announcement ids'
+        });
+    }
+
+    try {
+        await announcements.markRead(req.user, ids.map(String));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Mark announcements read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Hide a dismissible announcement for this user on the website and in the client
+app.post('/api/announcements/:announcementId/dismiss', requireAuth, async (req, res) => {
+    try {
+        const announcement = await announcements.get(req.params.announcementId);
+        const { status, error } = await announcements.dismiss(req.user, announcement);
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Dismiss announcement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Every announcement, including scheduled and ended ones, with read counts (Admin)
+app.get('/api/announcements/all', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            severities: SEVERITIES,
+            audiences: AUDIENCES,
+            statuses: ANNOUNCEMENT_STATUSES,
+            announcements: await announcements.list()
+        });
+    } catch (error) {
+        console.error('List announcements error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Publish or schedule an announcement (Admin)
+// { title, message, severity, audience: all|package|status|users, targets, startsAt, endsAt, dismissible }
+app.post('/api/announcements', requireRole('admin'), async (req, res) => {
+    try {
+        const { error, announcement } = await announcements.create(req.body, req.user, await catalog.getMap());
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await audit.record({
+            type: 'announcement.created',
+            req,
+            actor: req.user,
+            details: { announcementId: announcement.id, title: announcement.title, severity: announcement.severity, audience: announcement.audience }
+        });
+        console.log(`📣 ${req.user.username} published announcement "${announcement.title}" (${announcement.severity}, ${announcement.audience})`);
+
+        res.json({
+            success: true,
+            announcement
+        });
+    } catch (error) {
+        console.error('Create announcement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Take an announcement down now, keeping it and its read counts (Admin)
+app.post('/api/announcements/:announcementId/end', requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await announcements.get(req.params.announcementId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Announcement not found'
+            });
+        }
+
+        const announcement = await announcements.end(existing);
+        await audit.record({ type: 'announcement.ended', req, actor: req.user, details: { announcementId: announcement.id, title: announcement.title } });
+
+        res.json({
+            success: true,
+            announcement
+        });
+    } catch (error) {
+        console.error('End announcement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delete an announcement and its read tracking (Admin)
+app.delete('/api/announcements/:announcementId', requireRole('admin'), async (req, res) => {
+    try {
+        const announcement = await announcements.get(req.params.announcementId);
+        if (!announcement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Announcement not found'
+            });
+        }
+
+        await announcements.remove(announcement);
+        await audit.record({ type: 'announcement.deleted', req, actor: req.user, details: { announcementId: announcement.id, title: announcement.title } });
+
+        res.json({
+            success: true,
+            message: 'Announcement deleted'
+        });
+    } catch (error) {
+        console.error('Delete announcement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== AUDIT LOG ====================
+
+// Parse ?userId=&username=&type=a,b&from=&to= into audit.query filters
+// Returns { error } or { filters }
+function parseAuditFilters(query) {
+    const types = query.type ? String(query.type).split(',').map(type => type.trim()).filter(Boolean) : [];
+    for (const date of [query.from, query.to]) {
+        if (date && isNaN(new Date(date).getTime())) {
+            return { error: 'from and to must be valid dates' };
+        }
+    }
+    // Firestore 'in' queries take at most 10 values
+    if (types.length > 10) {
+        return { error: 'Filter by at most 10 event types' };
+    }
+
+    return {
+        filters: {
+            userId: query.userId || undefined,
+            username: query.username || undefined,
+            types: types.length ? types : undefined,
+            from: query.from || undefined,
+            to: query.to || undefined
+        }
+    };
+}
+
+// Query the audit log (Admin)
+// ?userId=&username=&type=a,b&from=&to=&cursor=&limit=
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    try {
+        const { error, filters } = parseAuditFilters(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+        const { entries, nextCursor } = await audit.query({ ...filters, cursor: req.query.cursor, limit });
+
+        res.json({
+            success: true,
+            entries,
+            nextCursor
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor - start again from the first page'
+            });
+        }
+        console.error('Get audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Export the audit log as CSV or JSONL (Admin) - same filters as /api/audit
+app.get('/api/audit/export', requireRole('admin'), async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'jsonl'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be csv or jsonl'
+            });
+        }
 
-        snapshot.forEach(doc => {
-            const userData = doc.data();
-            users.push({
-                id: doc.id,
-                username: userData.username,
-                createdAt: userData.createdAt,
-                lastLogin: userData.lastLogin,
-                hwid: userData.hwid,
-                hwidLockedAt: userData.hwidLockedAt,
-                isLocked: !!userData.hwid,
-                subscription: userData.subscription,
-                stats: userData.stats
+        const { error, filters } = parseAuditFilters(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
             });
-        });
+        }
 
-        res.json(users);
+        const { entries } = await audit.query({ ...filters, limit: MAX_QUERY_LIMIT });
+        const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
 
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'jsonl') {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            return res.send(entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : ''));
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.send(toCsv(entries, [
+            { header: 'created_at', value: entry => entry.createdAt },
+            { header: 'type', value: entry => entry.type },
+            { header: 'outcome', value: entry => entry.outcome },
+            { header: 'reason', value: entry => entry.reason },
+            { header: 'actor_id', value: entry => entry.actor?.id },
+            { header: 'actor_username', value: entry => entry.actor?.username },
+            { header: 'actor_role', value: entry => entry.actor?.role },
+            { header: 'target_user_id', value: entry => entry.targetUserId },
+            { header: 'target_username', value: entry => entry.targetUsername },
+            { header: 'ip', value: entry => entry.ip },
+            { header: 'user_agent', value: entry => entry.userAgent },
+            { header: 'hwid', value: entry => entry.hwid },
+            { header: 'details', value: entry => entry.details }
+        ]));
     } catch (error) {
-        console.error('Get users error:', error);
+        console.error('Export audit log error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -574,46 +4652,40 @@ app.get('/api/users', async (req, res) => {
     }
 });
 
-// Reset HWID (Admin)
-app.post('/api/reset-hwid', async (req, res) => {
-    const { username } = req.body;
-
-    if (!username) {
-        return res.status(400).json({
-            success: false,
-            message: 'Username required'
-        });
-    }
+// ==================== ANALYTICS ====================
 
-    try {
-        const user = await getUserByUsername(username);
+// Business figures for the admin panel (Admin) - ?from=YYYY-MM-DD&to=YYYY-MM-DD, UTC days
+// Defaults to the last 30 days. Money is in the smallest currency unit.
+app.get('/api/analytics', requireRole('admin'), async (req, res) => {
+    const { from, to } = req.query;
 
-        if (!user) {
-            return res.status(404).json({
+    for (const date of [from, to]) {
+        if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime()))) {
+            return res.status(400).json({
                 success: false,
-                message: 'User not found'
+                message: 'from and to must be dates (YYYY-MM-DD)'
             });
         }
+    }
 
-        if (!user.hwid) {
+    try {
+        const { error, report } = await analytics.getReport({ from, to });
+        if (error) {
             return res.status(400).json({
                 success: false,
-                message: 'User is not hardware locked'
+                message: error
             });
         }
 
-        await updateUser(user.id, {
-            hwid: null,
-            hwidLockedAt: null
-        });
+        const packages = await catalog.list({ includeInactive: true });
 
         res.json({
             success: true,
-            message: `Hardware lock reset for ${username}`
+            currency: packages[0]?.currency || 'usd',
+            ...report
         });
-
     } catch (error) {
-        console.error('Reset HWID error:', error);
+        console.error('Analytics error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -631,44 +4703,98 @@ app.get('/api/stripe/config', (req, res) => {
 });
 
 // Get available packages
-app.get('/api/packages', (req, res) => {
-    res.json({
-        success: true,
-        packages: [
-            {
-                id: 'monthly',
-                name: 'Monthly',
-                price: 19.99,
-                priceId: process.env.STRIPE_PRICE_MONTHLY,
-                features: [
-                    'Full access to software',
-                    'Hardware-locked license',
-                    'Priority support',
-                    'Monthly updates'
-                ]
-            },
-            {
-                id: 'lifetime',
-                name: 'Lifetime',
-                price: 99.99,
-                priceId: process.env.STRIPE_PRICE_LIFETIME,
-                features: [
-                    'Lifetime access',
-                    'Hardware-locked license',
-                    'Priority support',
-                    'All future updates',
-                    'One-time payment'
-                ]
+app.get('/api/packages', async (req, res) => {
+    try {
+        const packages = await catalog.list();
+        res.json({
+            success: true,
+            packages: packages.map(pkg => ({
+                id: pkg.id,
+                name: pkg.name,
+                price: pkg.price,
+                currency: pkg.currency,
+                mode: pkg.mode,
+                trialDays: pkg.trialDays || 0,
+                seats: pkg.seats,
+                features: pkg.features
+            }))
+        });
+    } catch (error) {
+        console.error('Get packages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get all packages including inactive ones (Admin)
+app.get('/api/packages/all', requireRole('admin'), async (req, res) => {
+    try {
+        const packages = await catalog.list({ includeInactive: true });
+        res.json({
+            success: true,
+            packages
+        });
+    } catch (error) {
+        console.error('Get all packages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create or update a package (Admin)
+app.put('/api/packages/:packageId', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await catalog.save(req.params.packageId, req.body);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        // Only the fields that changed, as they were and as they are now
+        const before = {};
+        const after = {};
+        for (const [field, value] of Object.entries(result.package)) {
+            if (field === 'id' || field === 'updatedAt') continue;
+            if (JSON.stringify(value) !== JSON.stringify(result.previous?.[field])) {
+                before[field] = result.previous?.[field] ?? null;
+                after[field] = value;
             }
-        ]
-    });
+        }
+        await audit.record({
+            type: result.previous ? 'package.updated' : 'package.created',
+            req,
+            actor: req.user,
+            details: { packageId: result.package.id, before: result.previous ? before : null, after }
+        });
+
+        console.log(`📦 Package ${req.params.packageId} saved by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            package: result.package
+        });
+    } catch (error) {
+        console.error('Save package error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
 });
 
-// Create Stripe Checkout Session
+// Create Stripe Checkout Session - { packageId, promoCode }
+// The price is always resolved from the catalog - a priceId sent by the browser is only checked, never trusted
 app.post('/api/stripe/create-checkout-session', requireAuth, async (req, res) => {
-    const { priceId, packageType } = req.body;
+    const { priceId } = req.body;
+    const packageId = req.body.packageId || req.body.packageType;
 
-    if (!priceId || !packageType) {
+    if (!packageId) {
         return res.status(400).json({
             success: false,
             message: 'Missing required fields'
@@ -676,6 +4802,21 @@ app.post('/api/stripe/create-checkout-session', requireAuth, async (req, res) =>
     }
 
     try {
+        const pkg = await catalog.get(packageId);
+        if (!pkg || !pkg.active || !pkg.priceId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Package is not available'
+            });
+        }
+
+        if (priceId && priceId !== pkg.priceId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Price does not match package'
+            });
+        }
+
         const user = await getUserById(req.session.userId);
         if (!user) {
             return res.status(404).json({
@@ -684,12 +4825,40 @@ app.post('/api/stripe/create-checkout-session', requireAuth, async (req, res) =>
             });
         }
 
+        // Switching from a running subscription goes through /api/stripe/upgrade, which credits the unused time
+        if (pkg.mode === 'payment' && user.subscription?.stripeSubscriptionId && ['trialing', 'active', 'past_due'].includes(user.subscription.status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'You have an active subscription - upgrade from the dashboard to get credit for your unused time'
+            });
+        }
+
+        let promoCode = null;
+        if (req.body.promoCode) {
+            const result = await promoCodes.validate(req.body.promoCode, pkg);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+            promoCode = result.promoCode;
+        }
+
+        // Free trial for accounts and machines that haven't had one - a promo code replaces
+        // the trial rather than stacking with it
+        let trialDays = 0;
+        if (pkg.mode === 'subscription' && pkg.trialDays && !promoCode) {
+            const eligibility = await trials.checkEligibility(user, getDevices(user).map(device => device.hwid));
+            trialDays = eligibility.eligible ? pkg.trialDays : 0;
+        }
+
         // Create or retrieve Stripe customer
         let customerId = user.subscription?.stripeCustomerId;
         
         if (!customerId) {
             const customer = await stripe.customers.create({
-                email: `${user.username}@cursed.local`, // You might want to collect real emails
+                email: user.email || undefined, // Checkout asks for one when the account has none
                 metadata: {
                     userId: user.id,
                     username: user.username
@@ -703,33 +4872,69 @@ app.post('/api/stripe/create-checkout-session', requireAuth, async (req, res) =>
             });
         }
 
-        // Determine if this is a subscription or one-time payment
-        const isLifetime = packageType === 'lifetime';
-
         const sessionConfig = {
             customer: customerId,
             line_items: [
                 {
-                    price: priceId,
+                    price: pkg.priceId,
                     quantity: 1,
                 },
             ],
-            mode: isLifetime ? 'payment' : 'subscription',
+            mode: pkg.mode,
             success_url: `${req.headers.origin || 'http://localhost:3000'}/dashboard?success=true`,
             cancel_url: `${req.headers.origin || 'http://localhost:3000'}/dashboard?cancelled=true`,
             metadata: {
                 userId: user.id,
                 username: user.username,
-                packageType: packageType
+                packageType: pkg.id
             }
         };
 
-        const session = await stripe.checkout.sessions.create(sessionConfig);
+        if (trialDays) {
+            sessionConfig.subscription_data = { trial_period_days: trialDays };
+        }
+
+        // Single-use coupon carrying the promo code's discount. The checkout holds one use of the
+        // code until it expires, so concurrent checkouts can't go past its cap.
+        let reservation = null;
+        if (promoCode) {
+            reservation = await promoCodes.reserve(promoCode);
+            if (reservation.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: reservation.error
+                });
+            }
+            sessionConfig.metadata.promoCode = promoCode.id;
+            sessionConfig.metadata.promoReservation = reservation.reservationId;
+            sessionConfig.expires_at = Math.floor(new Date(reservation.expiresAt).getTime() / 1000);
+        }
+
+        let session;
+        try {
+            if (promoCode) {
+                const coupon = await stripe.coupons.create(promoCodes.toStripeCoupon(promoCode, user));
+                sessionConfig.discounts = [{ coupon: coupon.id }];
+            }
+            session = await stripe.checkout.sessions.create(sessionConfig);
+        } catch (error) {
+            if (reservation) await promoCodes.release(promoCode.id, reservation.reservationId);
+            throw error;
+        }
+        await audit.record({
+            type: 'checkout.started',
+            req,
+            actor: user,
+            target: user,
+            details: { package: pkg.id, checkoutSession: session.id, promoCode: promoCode?.id || null, trialDays }
+        });
 
         res.json({
             success: true,
             url: session.url,
-            sessionId: session.id
+            sessionId: session.id,
+            trialDays,
+            discount: promoCode ? describeDiscount(promoCode) : null
         });
 
     } catch (error) {
@@ -741,6 +4946,97 @@ app.post('/api/stripe/create-checkout-session', requireAuth, async (req, res) =>
     }
 });
 
+// List logged webhook events (Admin) - ?status=failed for the ones needing attention
+app.get('/api/stripe/events', requireRole('admin'), async (req, res) => {
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    try {
+        const where = [];
+        if (status) where.push(['status', '==', status]);
+        if (type) where.push(['type', '==', type]);
+
+        const events = await webhookEventsCollection.find({
+            where,
+            orderBy: [['receivedAt', 'desc']],
+            limit
+        });
+
+        res.json({
+            success: true,
+            events: events.map(({ payload, ...event }) => event)
+        });
+    } catch (error) {
+        console.error('List webhook events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Replay a failed webhook event (Admin) - stale events are still ignored
+app.post('/api/stripe/events/:eventId/replay', requireRole('admin'), async (req, res) => {
+    try {
+        const record = await webhookEventsCollection.get(req.params.eventId);
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        if (record.status !== 'failed' || !(await retakeStripeEvent(record))) {
+            return res.status(409).json({
+                success: false,
+                message: 'Only failed events can be replayed'
+            });
+        }
+
+        console.log(`🔁 Replaying event ${record.id} (${record.type}) for ${req.user.username}`);
+        const status = await processStripeEvent(record.payload);
+        await audit.record({ type: 'stripe.event_replayed', req, actor: req.user, details: { eventId: record.id, eventType: record.type, status } });
+
+        res.json({
+            success: true,
+            message: `Event replayed: ${status}`,
+            status
+        });
+    } catch (error) {
+        console.error('Replay webhook event error:', error);
+        res.status(500).json({
+            success: false,
+            message: `Replay failed: ${error.message}`
+        });
+    }
+});
+
+// Reconcile subscriptions with Stripe now (Admin) - { dryRun: true } only reports what would change
+app.post('/api/stripe/reconcile', requireRole('admin'), async (req, res) => {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    try {
+        const report = await reconciler.run({ dryRun, actor: req.user, req });
+        console.log(`🔄 Stripe reconciliation${dryRun ? ' (dry run)' : ''} by ${req.user.username}: ${report.changed.length} of ${report.checked} out of sync`);
+
+        res.json({
+            success: true,
+            report
+        });
+    } catch (error) {
+        if (error.code === 'ALREADY_RUNNING') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Reconcile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Reconciliation failed'
+        });
+    }
+});
 
 // Get Subscription Status (for dashboard)
 app.get('/api/subscription', requireAuth, async (req, res) => {
@@ -767,7 +5063,10 @@ app.get('/api/subscription', requireAuth, async (req, res) => {
                 package: user.subscription.package,
                 activatedAt: user.subscription.activatedAt,
                 currentPeriodEnd: user.subscription.currentPeriodEnd,
-                cancelledAt: user.subscription.cancelledAt
+                cancelAtPeriodEnd: !!user.subscription.cancelAtPeriodEnd,
+                cancelledAt: user.subscription.cancelledAt,
+                graceEndsAt: user.subscription.graceEndsAt,
+                paymentUpdateUrl: user.subscription.paymentUpdateUrl
             }
         });
 
@@ -780,38 +5079,65 @@ app.get('/api/subscription', requireAuth, async (req, res) => {
     }
 });
 
-// Cancel Subscription
+// Loads the session user's live Stripe subscription for the cancel/resume/upgrade routes
+// Responds with an error and returns null when there isn't one
+async function loadStripeSubscriber(req, res) {
+    const user = await getUserById(req.session.userId);
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+        return null;
+    }
+
+    if (!user.subscription?.stripeSubscriptionId || !['trialing', 'active', 'past_due'].includes(user.subscription.status)) {
+        res.status(400).json({
+            success: false,
+            message: 'No active subscription'
+        });
+        return null;
+    }
+
+    return user;
+}
+
+// Cancel Subscription - takes effect at the end of the paid period, access continues until then
 app.post('/api/stripe/cancel-subscription', requireAuth, async (req, res) => {
     try {
-        const user = await getUserById(req.session.userId);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
-        }
+        const user = await loadStripeSubscriber(req, res);
+        if (!user) return;
 
-        if (!user.subscription?.stripeSubscriptionId) {
+        if (user.subscription.cancelAtPeriodEnd) {
             return res.status(400).json({
                 success: false,
-                message: 'No active subscription to cancel'
+                message: 'Subscription is already set to cancel'
             });
         }
 
-        // Cancel the subscription at period end
         const subscription = await stripe.subscriptions.update(
             user.subscription.stripeSubscriptionId,
             { cancel_at_period_end: true }
         );
+        const cancelsAt = new Date(subscription.current_period_end * 1000).toISOString();
 
         await updateUser(user.id, {
-            'subscription.status': 'cancelled',
-            'subscription.cancelledAt': new Date().toISOString()
+            'subscription.cancelAtPeriodEnd': true,
+            'subscription.cancelRequestedAt': new Date().toISOString(),
+            'subscription.currentPeriodEnd': cancelsAt
+        });
+        await audit.record({
+            type: 'subscription.cancel_requested',
+            req,
+            actor: user,
+            target: user,
+            details: { stripeSubscriptionId: user.subscription.stripeSubscriptionId, cancelsAt }
         });
 
         res.json({
             success: true,
-            message: 'Subscription cancelled. Access will continue until the end of the billing period.'
+            message: `Subscription cancels on ${new Date(cancelsAt).toUTCString()}. You keep access until then.`,
+            cancelsAt
         });
 
     } catch (error) {
@@ -823,6 +5149,129 @@ app.post('/api/stripe/cancel-subscription', requireAuth, async (req, res) => {
     }
 });
 
+// Resume Subscription - undo a pending cancellation before the period ends
+app.post('/api/stripe/resume-subscription', requireAuth, async (req, res) => {
+    try {
+        const user = await loadStripeSubscriber(req, res);
+        if (!user) return;
+
+        if (!user.subscription.cancelAtPeriodEnd) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subscription is not set to cancel'
+            });
+        }
+
+        const subscription = await stripe.subscriptions.update(
+            user.subscription.stripeSubscriptionId,
+            { cancel_at_period_end: false }
+        );
+
+        await updateUser(user.id, {
+            'subscription.cancelAtPeriodEnd': false,
+            'subscription.cancelRequestedAt': null,
+            'subscription.currentPeriodEnd': new Date(subscription.current_period_end * 1000).toISOString()
+        });
+        await audit.record({
+            type: 'subscription.resumed',
+            req,
+            actor: user,
+            target: user,
+            details: { stripeSubscriptionId: user.subscription.stripeSubscriptionId }
+        });
+
+        res.json({
+            success: true,
+            message: 'Subscription resumed. It will renew as normal.'
+        });
+
+    } catch (error) {
+        console.error('Resume subscription error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resume subscription'
+        });
+    }
+});
+
+// Upgrade a subscription to a one-time (lifetime) package
+// Checkout is discounted by the unused part of the current period; the subscription is
+// ended by the checkout.session.completed webhook once the payment has gone through.
+app.post('/api/stripe/upgrade', requireAuth, async (req, res) => {
+    const { packageId } = req.body;
+
+    try {
+        const user = await loadStripeSubscriber(req, res);
+        if (!user) return;
+
+        const pkg = await catalog.get(packageId);
+        if (!pkg || !pkg.active || !pkg.priceId || pkg.mode !== 'payment') {
+            return res.status(400).json({
+                success: false,
+                message: 'Package is not available as an upgrade'
+            });
+        }
+
+        const subscription = await stripe.subscriptions.retrieve(user.subscription.stripeSubscriptionId, {
+            expand: ['latest_invoice']
+        });
+        const price = await stripe.prices.retrieve(pkg.priceId);
+        const credit = Math.min(getUnusedCredit(subscription), price.unit_amount || 0);
+
+        const sessionConfig = {
+            customer: user.subscription.stripeCustomerId,
+            line_items: [{ price: pkg.priceId, quantity: 1 }],
+            mode: 'payment',
+            success_url: `${req.headers.origin || 'http://localhost:3000'}/dashboard?success=true`,
+            cancel_url: `${req.headers.origin || 'http://localhost:3000'}/dashboard?cancelled=true`,
+            metadata: {
+                userId: user.id,
+                username: user.username,
+                packageType: pkg.id,
+                upgradeFromSubscription: subscription.id,
+                upgradeCredit: String(credit)
+            }
+        };
+
+        // Single-use coupon worth the unused time
+        if (credit > 0) {
+            const coupon = await stripe.coupons.create({
+                amount_off: credit,
+                currency: price.currency,
+                duration: 'once',
+                max_redemptions: 1,
+                name: `Unused ${user.subscription.package} time`,
+                metadata: { userId: user.id, subscriptionId: subscription.id }
+            });
+            sessionConfig.discounts = [{ coupon: coupon.id }];
+        }
+
+        const session = await stripe.checkout.sessions.create(sessionConfig);
+        await audit.record({
+            type: 'checkout.started',
+            req,
+            actor: user,
+            target: user,
+            details: { package: pkg.id, checkoutSession: session.id, upgradeFromSubscription: subscription.id, credit }
+        });
+
+        res.json({
+            success: true,
+            url: session.url,
+            sessionId: session.id,
+            credit,
+            currency: price.currency
+        });
+
+    } catch (error) {
+        console.error('Upgrade error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start upgrade'
+        });
+    }
+});
+
 // Route handlers
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -840,13 +5289,24 @@ app.get('/dashboard', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
 });
 
-app.get('/admin', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
-});
-
 // Start server
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`Storage backend: ${store.name}`);
     console.log(`Stripe integration: ${process.env.STRIPE_SECRET_KEY ? 'Enabled' : 'Disabled'}`);
+
+    // Suspend licenses whose payment grace period has ended (hourly)
+    suspendExpiredGracePeriods();
+    setInterval(suspendExpiredGracePeriods, 60 * 60 * 1000);
+
+    // Clear out expired dashboard sessions (hourly)
+    setInterval(pruneWebSessions, 60 * 60 * 1000);
+
+    // Retry failed webhook deliveries whose backoff has passed
+    setInterval(processWebhookRetries, 60 * 1000);
+
+    if (process.env.STRIPE_SECRET_KEY && RECONCILE_INTERVAL_HOURS > 0) {
+        setInterval(runScheduledReconciliation, RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000);
+    }
 });
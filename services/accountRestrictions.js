@@ -0,0 +1,28 @@
+// Account bans and suspensions set by staff
+// user.restriction: null or { type: 'banned' | 'suspended', reason, until, by, at }
+// A suspension with an `until` lifts itself once that time has passed; bans last until removed.
+
+const RESTRICTION_TYPES = ['banned', 'suspended'];
+
+function getActiveRestriction(user, now = new Date()) {
+    const restriction = user.restriction;
+    if (!restriction || !RESTRICTION_TYPES.includes(restriction.type)) return null;
+    if (restriction.until && new Date(restriction.until) <= now) return null;
+    return restriction;
+}
+
+// Message shown to the user by the client and the login page
+function describeRestriction(restriction) {
+    const reason = restriction.reason ? `: ${restriction.reason}` : '';
+    if (restriction.type === 'banned') {
+        return `This account has been banned${reason}`;
+    }
+    const until = restriction.until ? ` until ${new Date(restriction.until).toUTCString()}` : '';
+    return `This account is suspended${until}${reason}`;
+}
+
+module.exports = {
+    RESTRICTION_TYPES,
+    getActiveRestriction,
+    describeRestriction
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Single-use, expiring tokens sent by email (verification links, password resets)
+// Only a hash of each token is stored, so a leaked database can't be used to reset passwords.
+
+const TOKEN_TTL_MS = {
+    verify_email: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48) * 60 * 60 * 1000,
+    password_reset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createAccountTokenService({ store }) {
+    const tokensCollection = store.collection('accountTokens');
+
+    // Issuing a token invalidates the user's earlier unused tokens for the same purpose
+    async function issue(user, purpose, data = {}) {
+        if (!TOKEN_TTL_MS[purpose]) {
+            throw new Error(`Unknown token purpose "${purpose}"`);
+        }
+
+        const previous = await tokensCollection.find({
+            where: [['userId', '==', user.id], ['purpose', '==', purpose], ['usedAt', '==', null]]
+        });
+        for (const record of previous) {
+            await tokensCollection.update(record.id, { usedAt: new Date().toISOString(), superseded: true });
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        await tokensCollection.set(hashToken(token), {
+            userId: user.id,
+            purpose,
+            ...data,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + TOKEN_TTL_MS[purpose]).toISOString(),
+            usedAt: null
+        });
+
+        return token;
+    }
+
+    // The token's record if it is known, unused and unexpired, otherwise null
+    async function find(token, purpose) {
+        if (!token) return null;
+
+        const record = await tokensCollection.get(hashToken(token));
+        if (!record || record.purpose !== purpose || record.usedAt || new Date(record.expiresAt) <= new Date()) {
+            return null;
+        }
+        return record;
+    }
+
+    // Like find, but marks the token used so it can't be presented again.
+    // The claim is conditional, so of two requests racing with the same token only one gets the record.
+    async function consume(token, purpose) {
+        const record = await find(token, purpose);
+        if (!record) return null;
+
+        return tokensCollection.updateIf(record.id, [['usedAt', '==', null]], { usedAt: new Date().toISOString() });
+    }
+
+    return {
+        issue,
+        find,
+        consume
+    };
+}
+
+module.exports = { createAccountTokenService };
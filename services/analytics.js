@@ -0,0 +1,207 @@
+// Business analytics for the admin panel
+// Daily figures come from the audit log, users and webhook events. A finished day doesn't
+// change, so it is computed once and kept in analyticsDaily. Today and yesterday are
+// recomputed (briefly cached) because Stripe may still be retrying yesterday's webhooks.
+// License counts and MRR are a snapshot of current users, cached for a few minutes.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const SNAPSHOT_TTL_MS = 5 * 60 * 1000;
+const RECENT_TTL_MS = 60 * 1000;
+const SCAN_BATCH_SIZE = 500;
+
+// Subscription states that still count as a paying license
+const LICENSED_STATUSES = ['trialing', 'active', 'past_due'];
+
+function toDateKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+function emptyDay(date) {
+    return {
+        date,
+        signups: 0,
+        clientLogins: 0,
+        activeClients: 0,
+        checkoutsStarted: 0,
+        checkoutsCompleted: 0,
+        trialsStarted: 0,
+        trialsConverted: 0, // trials that took their first payment
+        cancellations: 0,
+        paymentFailures: 0,
+        subscriptionRevenue: 0, // cents
+        lifetimeRevenue: 0 // cents
+    };
+}
+
+function createAnalytics({ store, catalog }) {
+    const usersCollection = store.collection('users');
+    const auditCollection = store.collection('auditLog');
+    const webhookEventsCollection = store.collection('webhookEvents');
+    const dailyCollection = store.collection('analyticsDaily');
+
+    let snapshotCache = null;
+    const recentCache = new Map(); // date -> { at, day } for today and yesterday
+
+    // Every document matching where, read in batches ordered by field
+    async function* scan(collection, where, field) {
+        let startAfter;
+        while (true) {
+            const batch = await collection.find({ where, orderBy: [[field, 'asc']], startAfter, limit: SCAN_BATCH_SIZE });
+            yield* batch;
+            if (batch.length < SCAN_BATCH_SIZE) return;
+            startAfter = [batch[batch.length - 1][field]];
+        }
+    }
+
+    async function computeDay(date) {
+        const day = emptyDay(date);
+        const start = `${date}T00:00:00.000Z`;
+        const end = new Date(new Date(start).getTime() + DAY_MS).toISOString();
+        const inDay = field => [[field, '>=', start], [field, '<', end]];
+
+        for await (const _user of scan(usersCollection, inDay('createdAt'), 'createdAt')) {
+            day.signups++;
+        }
+
+        const clients = new Set();
+        const types = ['client.login', 'checkout.started', 'subscription.activated', 'trial.started', 'trial.converted', 'subscription.cancelled', 'payment.failed'];
+        for await (const entry of scan(auditCollection, [['type', 'in', types], ...inDay('createdAt')], 'createdAt')) {
+            switch (entry.type) {
+                case 'client.login':
+                    if (entry.outcome === 'success') {
+                        day.clientLogins++;
+                        clients.add(entry.targetUserId);
+                    }
+                    break;
+                case 'checkout.started': day.checkoutsStarted++; break;
+                case 'subscription.activated': day.checkoutsCompleted++; break;
+                case 'trial.started': day.trialsStarted++; break;
+                case 'trial.converted': day.trialsConverted++; break;
+                case 'subscription.cancelled': day.cancellations++; break;
+                case 'payment.failed': day.paymentFailures++; break;
+            }
+        }
+        day.activeClients = clients.size;
+
+        // Revenue is what Stripe reported as paid, by the day the event was created
+        const paymentTypes = ['checkout.session.completed', 'invoice.payment_succeeded'];
+        for await (const event of scan(webhookEventsCollection, [['type', 'in', paymentTypes], ...inDay('created')], 'created')) {
+            if (event.status !== 'processed') continue;
+            const object = event.payload?.data?.object || {};
+            if (event.type === 'checkout.session.completed' && object.mode === 'payment') {
+                day.lifetimeRevenue += object.amount_total || 0;
+            } else if (event.type === 'invoice.payment_succeeded') {
+                day.subscriptionRevenue += object.amount_paid || 0;
+            }
+        }
+
+        return day;
+    }
+
+    async function getDay(date, today) {
+        if (date >= toDateKey(new Date(today).getTime() - DAY_MS)) {
+            const cached = recentCache.get(date);
+            if (cached && Date.now() - cached.at < RECENT_TTL_MS) {
+                return cached.day;
+            }
+            const day = await computeDay(date);
+            recentCache.set(date, { at: Date.now(), day });
+            return day;
+        }
+
+        // Days stored before a figure was added are computed again
+        const stored = await dailyCollection.get(date);
+        if (stored && Object.keys(emptyDay(date)).every(key => key in stored)) {
+            const { id, computedAt, ...day } = stored;
+            return day;
+        }
+
+        const day = await computeDay(date);
+        await dailyCollection.set(date, { ...day, computedAt: new Date().toISOString() });
+        return day;
+    }
+
+    // Active licenses by package and monthly recurring revenue, from current users
+    async function getSnapshot() {
+        if (snapshotCache && Date.now() - snapshotCache.at < SNAPSHOT_TTL_MS) {
+            return snapshotCache.snapshot;
+        }
+
+        const packages = await catalog.getMap();
+        const snapshot = { licensesByPackage: {}, activeLicenses: 0, subscribers: 0, trials: 0, mrr: 0 };
+
+        for await (const user of scan(usersCollection, [['subscription.status', 'in', LICENSED_STATUSES]], 'createdAt')) {
+            const packageId = user.subscription.package || 'unknown';
+            snapshot.licensesByPackage[packageId] = (snapshot.licensesByPackage[packageId] || 0) + 1;
+            snapshot.activeLicenses++;
+
+            // Trials haven't paid yet
+            if (user.subscription.status === 'trialing') {
+                snapshot.trials++;
+                continue;
+            }
+
+            // Only Stripe subscriptions recur - keys, grants and one-time purchases don't
+            const pkg = packages[packageId];
+            if (user.subscription.source === 'stripe' && user.subscription.stripeSubscriptionId && pkg?.mode === 'subscription') {
+                snapshot.subscribers++;
+                snapshot.mrr += Math.round((pkg.price || 0) * 100);
+            }
+        }
+
+        snapshotCache = { at: Date.now(), snapshot };
+        return snapshot;
+    }
+
+    // from/to are YYYY-MM-DD (inclusive, UTC). Returns { error } or { report }
+    async function getReport({ from, to }) {
+        const today = toDateKey(Date.now());
+        const toKey = to ? toDateKey(to) : today;
+        const fromKey = from ? toDateKey(from) : toDateKey(new Date(toKey).getTime() - 29 * DAY_MS);
+
+        if (fromKey > toKey) {
+            return { error: 'from must be before to' };
+        }
+        if ((new Date(toKey) - new Date(fromKey)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+            return { error: `Range can be at most ${MAX_RANGE_DAYS} days` };
+        }
+
+        const daily = [];
+        for (let time = new Date(fromKey).getTime(); time <= new Date(toKey).getTime(); time += DAY_MS) {
+            const date = toDateKey(time);
+            daily.push(date > today ? emptyDay(date) : await getDay(date, today));
+        }
+
+        const totals = emptyDay(null);
+        delete totals.date;
+        for (const day of daily) {
+            for (const key of Object.keys(totals)) {
+                totals[key] += day[key];
+            }
+        }
+        // Distinct clients over the whole range can't be summed from the days
+        delete totals.activeClients;
+
+        return {
+            report: {
+                from: fromKey,
+                to: toKey,
+                daily,
+                totals,
+                checkoutConversion: totals.checkoutsStarted ? totals.checkoutsCompleted / totals.checkoutsStarted : null,
+                // Conversions in the range against trials started in it - a trial converts
+                // when it ends, so a range should be longer than the trial period
+                trialConversion: totals.trialsStarted ? totals.trialsConverted / totals.trialsStarted : null,
+                ...(await getSnapshot())
+            }
+        };
+    }
+
+    return { getReport };
+}
+
+module.exports = {
+    createAnalytics,
+    MAX_RANGE_DAYS
+};
@@ -0,0 +1,239 @@
+// Admin-authored announcements (maintenance, outages, new versions) shown in the client at
+// login and on the website. Each targets an audience - everyone, buyers of some packages,
+// licenses in some statuses, or named users - and runs from startsAt until endsAt.
+// Reads and dismissals are kept per user in announcementReads under "<announcementId>_<userId>".
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const AUDIENCES = ['all', 'package', 'status', 'users'];
+const STATUSES = ['inactive', 'trialing', 'active', 'past_due', 'suspended', 'cancelled'];
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_MESSAGE_LENGTH = 2000;
+
+function isLive(announcement, now = new Date()) {
+    return new Date(announcement.startsAt) <= now && (!announcement.endsAt || new Date(announcement.endsAt) > now);
+}
+
+function appliesTo(announcement, user) {
+    switch (announcement.audience) {
+        case 'all': return true;
+        case 'package': return announcement.targets.includes(user.subscription?.package);
+        case 'status': return announcement.targets.includes(user.subscription?.status || 'inactive');
+        case 'users': return announcement.targets.includes(user.id);
+        default: return false;
+    }
+}
+
+// Critical first, then the newest
+function byPriority(a, b) {
+    return SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || b.startsAt.localeCompare(a.startsAt);
+}
+
+// What the website and client get - no audience or authoring details
+function toPublicView(announcement, read = null) {
+    return {
+        id: announcement.id,
+        title: announcement.title,
+        message: announcement.message,
+        severity: announcement.severity,
+        dismissible: announcement.dismissible,
+        startsAt: announcement.startsAt,
+        endsAt: announcement.endsAt,
+        ...(read !== null && { read })
+    };
+}
+
+function createAnnouncements({ store }) {
+    const announcementsCollection = store.collection('announcements');
+    const readsCollection = store.collection('announcementReads');
+    const usersCollection = store.collection('users');
+
+    function readId(announcementId, userId) {
+        return `${announcementId}_${userId}`;
+    }
+
+    // Every announcement with how many users read and dismissed it (Admin)
+    async function list() {
+        const announcements = await announcementsCollection.find({ orderBy: [['startsAt', 'desc']] });
+        const now = new Date();
+        const result = [];
+        for (const announcement of announcements) {
+            const reads = await readsCollection.find({ where: [['announcementId', '==', announcement.id]] });
+            result.push({
+                ...announcement,
+                live: isLive(announcement, now),
+                readCount: reads.length,
+                dismissCount: reads.filter(read => read.dismissedAt).length
+            });
+        }
+        return result;
+    }
+
+    async function get(id) {
+        return announcementsCollection.get(id);
+    }
+
+    // input: { title, message, severity, audience, targets, startsAt, endsAt, dismissible }
+    // targets are package ids, statuses or usernames depending on the audience.
+    // packages: the catalog map. Returns { error } or { announcement }
+    async function create(input, actor, packages) {
+        const title = String(input.title || '').trim();
+        const message = String(input.message || '').trim();
+        const severity = input.severity || 'info';
+        const audience = input.audience || 'all';
+        const rawTargets = input.targets ?? [];
+        const targets = Array.isArray(rawTargets) && audience !== 'all'
+            ? [...new Set(rawTargets.map(target => String(target).trim()).filter(Boolean))]
+            : [];
+        const startsAt = input.startsAt ? new Date(input.startsAt) : new Date();
+        const endsAt = input.endsAt ? new Date(input.endsAt) : null;
+
+        if (!title || title.length > MAX_TITLE_LENGTH) {
+            return { error: `Title must be 1-${MAX_TITLE_LENGTH} characters` };
+        }
+        if (!message || message.length > MAX_MESSAGE_LENGTH) {
+            return { error: `Message must be 1-${MAX_MESSAGE_LENGTH} characters` };
+        }
+        if (!SEVERITIES.includes(severity)) {
+            return { error: `Severity must be one of: ${SEVERITIES.join(', ')}` };
+        }
+        if (!AUDIENCES.includes(audience)) {
+            return { error: `Audience must be one of: ${AUDIENCES.join(', ')}` };
+        }
+        if (!Array.isArray(rawTargets) || (audience !== 'all' && !targets.length)) {
+            return { error: `List the ${audience === 'users' ? 'usernames' : `${audience} values`} this announcement is for` };
+        }
+        if (isNaN(startsAt) || (endsAt && isNaN(endsAt))) {
+            return { error: 'Invalid start or end date' };
+        }
+        if (endsAt && endsAt <= startsAt) {
+            return { error: 'The end must be after the start' };
+        }
+
+        const unknown = audience === 'package' ? targets.filter(id => !packages[id])
+            : audience === 'status' ? targets.filter(status => !STATUSES.includes(status))
+            : [];
+        if (unknown.length) {
+            return { error: `Unknown ${audience}: ${unknown.join(', ')}` };
+        }
+
+        // Users are matched by id, so store both - the usernames are for the admin list
+        let userIds = targets;
+        if (audience === 'users') {
+            const users = await Promise.all(targets.map(username => usersCollection.findOne([['username', '==', username]])));
+            const missing = targets.filter((username, i) => !users[i]);
+            if (missing.length) {
+                return { error: `User not found: ${missing.join(', ')}` };
+            }
+            userIds = users.map(user => user.id);
+        }
+
+        const announcement = await announcementsCollection.add({
+            title,
+            message,
+            severity,
+            audience,
+            targets: userIds,
+            targetUsernames: audience === 'users' ? targets : null,
+            dismissible: input.dismissible !== false,
+            startsAt: startsAt.toISOString(),
+            endsAt: endsAt ? endsAt.toISOString() : null,
+            createdAt: new Date().toISOString(),
+            createdBy: actor.username
+        });
+        return { announcement };
+    }
+
+    // Take a live or scheduled announcement down now
+    async function end(announcement) {
+        const now = new Date().toISOString();
+        const updates = new Date(announcement.startsAt) > new Date() ? { startsAt: now, endsAt: now } : { endsAt: now };
+        await announcementsCollection.update(announcement.id, updates);
+        return { ...announcement, ...updates };
+    }
+
+    async function remove(announcement) {
+        const reads = await readsCollection.find({ where: [['announcementId', '==', announcement.id]] });
+        for (const read of reads) {
+            await readsCollection.delete(read.id);
+        }
+        await announcementsCollection.delete(announcement.id);
+    }
+
+    async function listLive(now = new Date()) {
+        const started = await announcementsCollection.find({ where: [['startsAt', '<=', now.toISOString()]] });
+        return started.filter(announcement => isLive(announcement, now)).sort(byPriority);
+    }
+
+    // Live announcements for visitors who aren't signed in - only those for everyone
+    async function forPublic() {
+        const live = await listLive();
+        return live.filter(announcement => announcement.audience === 'all').map(announcement => toPublicView(announcement));
+    }
+
+    // Live announcements for this user that they haven't dismissed, each with a read flag
+    async function forUser(user) {
+        const live = (await listLive()).filter(announcement => appliesTo(announcement, user));
+        if (!live.length) return [];
+
+        const reads = await readsCollection.find({ where: [['userId', '==', user.id]] });
+        const readById = new Map(reads.map(read => [read.announcementId, read]));
+        return live
+            .filter(announcement => !readById.get(announcement.id)?.dismissedAt)
+            .map(announcement => toPublicView(announcement, readById.has(announcement.id)));
+    }
+
+    // Record that the user has seen these announcements; already-read ones are left alone
+    async function markRead(user, announcementIds) {
+        for (const announcementId of new Set(announcementIds)) {
+            const id = readId(announcementId, user.id);
+            if (!(await readsCollection.get(id))) {
+                await readsCollection.set(id, {
+                    announcementId,
+                    userId: user.id,
+                    readAt: new Date().toISOString(),
+                    dismissedAt: null
+                });
+            }
+        }
+    }
+
+    // Hide an announcement from this user for good. Returns { status, error } or {}
+    async function dismiss(user, announcement) {
+        if (!announcement || !isLive(announcement) || !appliesTo(announcement, user)) {
+            return { status: 404, error: 'Announcement not found' };
+        }
+        if (!announcement.dismissible) {
+            return { status: 400, error: 'This announcement cannot be dismissed' };
+        }
+
+        const id = readId(announcement.id, user.id);
+        const existing = await readsCollection.get(id);
+        await readsCollection.set(id, {
+            announcementId: announcement.id,
+            userId: user.id,
+            readAt: existing?.readAt || new Date().toISOString(),
+            dismissedAt: new Date().toISOString()
+        });
+        return {};
+    }
+
+    return {
+        list,
+        get,
+        create,
+        end,
+        remove,
+        forPublic,
+        forUser,
+        markRead,
+        dismiss
+    };
+}
+
+module.exports = {
+    SEVERITIES,
+    AUDIENCES,
+    STATUSES,
+    createAnnouncements
+};
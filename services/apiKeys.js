@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// API keys for internal tools (Discord bot, support desk) calling staff routes
+// A key carries named scopes, an optional expiry and an optional IP allowlist. Only a hash of
+// the key is stored - the key itself is shown once, when it is created - and the hash is the
+// record id admins see. Format: curs_<43 random base64url characters>
+
+const SCOPES = ['users:read', 'hwid:reset', 'licenses:write'];
+const KEY_PREFIX = 'curs_';
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// IPv4 clients show up as ::ffff:1.2.3.4 on a dual-stack socket
+function normalizeIp(ip) {
+    const address = String(ip || '');
+    return address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+}
+
+// "1.2.3.4", "10.0.0.0/8" or an IPv6 address/subnet. Returns [address, prefix|null] or null.
+function parseIpRule(rule) {
+    const [address, prefix, extra] = String(rule).trim().split('/');
+    const family = net.isIP(address);
+    if (!family || extra !== undefined) return null;
+    if (prefix === undefined) return [address, null];
+
+    const bits = Number(prefix);
+    return /^\d+$/.test(prefix) && bits <= (family === 4 ? 32 : 128) ? [address, bits] : null;
+}
+
+function isIpAllowed(allowedIps, ip) {
+    if (!allowedIps.length) return true;
+
+    const address = normalizeIp(ip);
+    const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+    if (!net.isIP(address)) return false;
+
+    const list = new net.BlockList();
+    for (const rule of allowedIps) {
+        const [ruleAddress, prefix] = parseIpRule(rule);
+        const ruleFamily = net.isIPv4(ruleAddress) ? 'ipv4' : 'ipv6';
+        if (prefix === null) {
+            list.addAddress(ruleAddress, ruleFamily);
+        } else {
+            list.addSubnet(ruleAddress, prefix, ruleFamily);
+        }
+    }
+    return list.check(address, family);
+}
+
+function createApiKeyService({ store }) {
+    const apiKeysCollection = store.collection('apiKeys');
+
+    async function list() {
+        return apiKeysCollection.find({ orderBy: [['createdAt', 'desc']] });
+    }
+
+    async function get(id) {
+        return apiKeysCollection.get(id);
+    }
+
+    // input: { name, scopes, expiresAt, allowedIps }
+    // Returns { error } or { key, apiKey } - key is the secret, never retrievable again
+    async function create(input, actor) {
+        const name = String(input.name || '').trim();
+        const scopes = input.scopes;
+        const allowedIps = (input.allowedIps || []).map(rule => String(rule).trim()).filter(Boolean);
+
+        if (!name || name.length > 64) {
+            return { error: 'Name must be 1-64 characters' };
+        }
+        if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !SCOPES.includes(scope))) {
+            return { error: `Scopes must be one or more of: ${SCOPES.join(', ')}` };
+        }
+        if (input.expiresAt && !(new Date(input.expiresAt) > new Date())) {
+            return { error: 'Expiry must be a date in the future' };
+        }
+        const invalidRule = allowedIps.find(rule => !parseIpRule(rule));
+        if (invalidRule) {
+            return { error: `Invalid IP address or range: ${invalidRule}` };
+        }
+
+        const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const apiKey = await apiKeysCollection.set(hashApiKey(key), {
+            name,
+            prefix: key.slice(0, KEY_PREFIX.length + 6), // shown in lists so a key can be recognised
+            scopes: [...new Set(scopes)],
+            allowedIps,
+            expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+            createdAt: new Date().toISOString(),
+            createdBy: actor.username,
+            lastUsedAt: null,
+            lastUsedIp: null,
+            revokedAt: null,
+            revokedBy: null
+        });
+        return { key, apiKey };
+    }
+
+    async function revoke(apiKey, actor) {
+        await apiKeysCollection.update(apiKey.id, {
+            revokedAt: new Date().toISOString(),
+            revokedBy: actor.username
+        });
+    }
+
+    // Check a presented key and record its use. Returns { status, error } or { apiKey }
+    async function verify(key, ip) {
+        const apiKey = String(key).startsWith(KEY_PREFIX) ? await apiKeysCollection.get(hashApiKey(key)) : null;
+
+        if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())) {
+            return { status: 401, error: 'Invalid or expired API key' };
+        }
+        if (!isIpAllowed(apiKey.allowedIps, ip)) {
+            return { status: 403, error: 'This API key may not be used from this address' };
+        }
+
+        const lastUsedAt = new Date().toISOString();
+        await apiKeysCollection.update(apiKey.id, { lastUsedAt, lastUsedIp: normalizeIp(ip) });
+        return { apiKey: { ...apiKey, lastUsedAt } };
+    }
+
+    return {
+        list,
+        get,
+        create,
+        revoke,
+        verify
+    };
+}
+
+module.exports = {
+    SCOPES,
+    createApiKeyService
+};
@@ -0,0 +1,100 @@
+// Append-only audit trail for logins, device changes and license changes
+// Entries are only ever added - there is deliberately no update or delete.
+
+const MAX_QUERY_LIMIT = 10000;
+
+// Cursors are opaque to callers: the last entry's createdAt and id. Entries written in the
+// same millisecond share a createdAt, so the id breaks the tie.
+function encodeCursor(entry) {
+    return Buffer.from(JSON.stringify([entry.createdAt, entry.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Array.isArray(values) && values.length === 2 && values.every(value => typeof value === 'string') ? values : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function describeActor(actor) {
+    if (!actor) return { id: null, username: 'system', role: null };
+    if (typeof actor === 'string') return { id: null, username: actor, role: null };
+    return { id: actor.id || null, username: actor.username || null, role: actor.role || 'user' };
+}
+
+function createAuditLog({ store }) {
+    const auditCollection = store.collection('auditLog');
+
+    // entry: { type, req, actor, target, hwid, outcome, reason, details }
+    // actor/target are user records (or a label such as 'stripe' for the actor).
+    // Never throws - a failed audit write must not fail the request being audited.
+    async function record({ type, req, actor, target, hwid = null, outcome = 'success', reason = null, details = null }) {
+        const entry = {
+            type,
+            actor: describeActor(actor),
+            targetUserId: target?.id || null,
+            targetUsername: target?.username || null,
+            ip: req ? req.ip : null,
+            userAgent: req ? (req.get('user-agent') || null) : null,
+            hwid,
+            outcome,
+            reason,
+            details,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            await auditCollection.add(entry);
+        } catch (error) {
+            console.error(`Audit write failed (${type}):`, error);
+        }
+    }
+
+    // filters: { userId, username, types, from, to, cursor, limit }
+    // Newest first; pass the returned nextCursor back as cursor for the next page.
+    // Throws an error with code 'INVALID_CURSOR' for a cursor this didn't return.
+    async function query({ userId, username, types, from, to, cursor, limit = 100 } = {}) {
+        const where = [];
+        if (userId) where.push(['targetUserId', '==', userId]);
+        if (username) where.push(['targetUsername', '==', username]);
+        if (types && types.length === 1) where.push(['type', '==', types[0]]);
+        if (types && types.length > 1) where.push(['type', 'in', types]);
+        if (from) where.push(['createdAt', '>=', new Date(from).toISOString()]);
+        if (to) where.push(['createdAt', '<=', new Date(to).toISOString()]);
+
+        let startAfter;
+        if (cursor) {
+            startAfter = decodeCursor(cursor);
+            if (!startAfter) {
+                const error = new Error('Invalid cursor');
+                error.code = 'INVALID_CURSOR';
+                throw error;
+            }
+        }
+
+        const pageSize = Math.min(limit, MAX_QUERY_LIMIT);
+        const entries = await auditCollection.find({
+            where,
+            orderBy: [['createdAt', 'desc'], ['id', 'desc']],
+            startAfter,
+            limit: pageSize
+        });
+
+        return {
+            entries,
+            nextCursor: entries.length === pageSize ? encodeCursor(entries[entries.length - 1]) : null
+        };
+    }
+
+    return {
+        record,
+        query
+    };
+}
+
+module.exports = {
+    createAuditLog,
+    MAX_QUERY_LIMIT
+};
@@ -0,0 +1,17 @@
+// Plan switching maths for Stripe subscriptions
+
+// Value of the unused part of the current billing period, in the smallest currency unit.
+// subscription is a Stripe subscription with latest_invoice expanded.
+function getUnusedCredit(subscription, now = new Date()) {
+    const invoice = subscription.latest_invoice;
+    if (!invoice || typeof invoice !== 'object' || !invoice.amount_paid) return 0;
+
+    const start = subscription.current_period_start * 1000;
+    const end = subscription.current_period_end * 1000;
+    if (!(end > start) || now.getTime() >= end) return 0;
+
+    const unused = (end - Math.max(now.getTime(), start)) / (end - start);
+    return Math.floor(invoice.amount_paid * unused);
+}
+
+module.exports = { getUnusedCredit };
@@ -0,0 +1,158 @@
+// Package catalog - prices, Stripe price ids, trials, seat and session limits and entitlements live in storage
+// and are editable from the admin panel. The defaults below seed an empty catalog.
+
+const DEFAULT_PACKAGES = [
+    {
+        id: 'monthly',
+        name: 'Monthly',
+        price: 19.99,
+        currency: 'usd',
+        priceId: process.env.STRIPE_PRICE_MONTHLY || null,
+        mode: 'subscription',
+        trialDays: parseInt(process.env.TRIAL_DAYS_MONTHLY, 10) || 0,
+        seats: parseInt(process.env.SEAT_LIMIT_MONTHLY, 10) || 1,
+        maxSessions: 1,
+        entitlements: ['client', 'updates', 'priority-support'],
+        features: [
+            'Full access to software',
+            'Hardware-locked license',
+            'Priority support',
+            'Monthly updates'
+        ],
+        active: true,
+        sortOrder: 1
+    },
+    {
+        id: 'lifetime',
+        name: 'Lifetime',
+        price: 99.99,
+        currency: 'usd',
+        priceId: process.env.STRIPE_PRICE_LIFETIME || null,
+        mode: 'payment',
+        trialDays: 0,
+        seats: parseInt(process.env.SEAT_LIMIT_LIFETIME, 10) || 3,
+        maxSessions: 1,
+        entitlements: ['client', 'updates', 'priority-support'],
+        features: [
+            'Lifetime access',
+            'Hardware-locked license',
+            'Priority support',
+            'All future updates',
+            'One-time payment'
+        ],
+        active: true,
+        sortOrder: 2
+    }
+];
+
+const MODES = ['subscription', 'payment'];
+
+// Packages are read on every login, so keep them briefly in memory
+const CACHE_TTL_MS = 60 * 1000;
+
+function createCatalog({ store }) {
+    const packagesCollection = store.collection('packages');
+    let cache = null;
+    let cachedAt = 0;
+
+    async function load() {
+        if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+            return cache;
+        }
+
+        let packages = await packagesCollection.find({ orderBy: [['sortOrder', 'asc']] });
+
+        if (packages.length === 0) {
+            for (const { id, ...pkg } of DEFAULT_PACKAGES) {
+                await packagesCollection.set(id, { ...pkg, updatedAt: new Date().toISOString() });
+            }
+            console.log('📦 Seeded package catalog with default packages');
+            packages = await packagesCollection.find({ orderBy: [['sortOrder', 'asc']] });
+        }
+
+        cache = packages;
+        cachedAt = Date.now();
+        return packages;
+    }
+
+    async function list({ includeInactive = false } = {}) {
+        const packages = await load();
+        return includeInactive ? packages : packages.filter(pkg => pkg.active);
+    }
+
+    async function get(id) {
+        const packages = await load();
+        return packages.find(pkg => pkg.id === id) || null;
+    }
+
+    // { [id]: package } for synchronous lookups such as seat limits
+    async function getMap() {
+        const packages = await load();
+        return Object.fromEntries(packages.map(pkg => [pkg.id, pkg]));
+    }
+
+    // Create or update a package. Returns { error } or { package, previous } - previous is null for a new package
+    async function save(id, input) {
+        if (!/^[a-z0-9-]{2,32}$/.test(id || '')) {
+            return { error: 'Package id must be 2-32 lowercase letters, numbers or dashes' };
+        }
+
+        const existing = await get(id);
+        const pkg = {
+            name: input.name ?? existing?.name,
+            price: input.price !== undefined ? Number(input.price) : existing?.price,
+            currency: (input.currency ?? existing?.currency ?? 'usd').toLowerCase(),
+            priceId: input.priceId ?? existing?.priceId ?? null,
+            mode: input.mode ?? existing?.mode,
+            trialDays: input.trialDays !== undefined ? (parseInt(input.trialDays, 10) || 0) : (existing?.trialDays ?? 0),
+            seats: input.seats !== undefined ? parseInt(input.seats, 10) : existing?.seats,
+            maxSessions: input.maxSessions !== undefined ? parseInt(input.maxSessions, 10) : (existing?.maxSessions ?? 1),
+            entitlements: input.entitlements ?? existing?.entitlements ?? [],
+            features: input.features ?? existing?.features ?? [],
+            active: input.active !== undefined ? !!input.active : (existing?.active ?? true),
+            sortOrder: input.sortOrder !== undefined ? Number(input.sortOrder) : (existing?.sortOrder ?? 99),
+            updatedAt: new Date().toISOString()
+        };
+
+        if (!pkg.name) {
+            return { error: 'Name is required' };
+        }
+        if (!(pkg.price >= 0)) {
+            return { error: 'Price must be a positive number' };
+        }
+        if (!MODES.includes(pkg.mode)) {
+            return { error: `Mode must be one of: ${MODES.join(', ')}` };
+        }
+        if (!(pkg.trialDays >= 0 && pkg.trialDays <= 365)) {
+            return { error: 'Trial days must be between 0 and 365' };
+        }
+        if (pkg.trialDays && pkg.mode !== 'subscription') {
+            return { error: 'Only subscription packages can have a free trial' };
+        }
+        if (!(pkg.seats >= 1)) {
+            return { error: 'Seats must be at least 1' };
+        }
+        if (!(pkg.maxSessions >= 1)) {
+            return { error: 'Concurrent sessions must be at least 1' };
+        }
+        if (!Array.isArray(pkg.features) || !Array.isArray(pkg.entitlements)) {
+            return { error: 'Features and entitlements must be lists' };
+        }
+        if (pkg.active && !pkg.priceId) {
+            return { error: 'Active packages need a Stripe price id' };
+        }
+
+        const saved = await packagesCollection.set(id, pkg);
+        cache = null;
+        return { package: saved, previous: existing };
+    }
+
+    return {
+        list,
+        get,
+        getMap,
+        save
+    };
+}
+
+module.exports = { createCatalog };
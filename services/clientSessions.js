@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// Short-lived sessions for the C++ client
+// /api/login opens a session and the client keeps it alive with /api/client/heartbeat.
+// A session that misses heartbeats for SESSION_TTL expires on its own. Only a hash of the
+// session id is stored; the hash doubles as the record id shown to admins.
+
+const SESSION_TTL_MS = (parseInt(process.env.CLIENT_SESSION_TTL_SECONDS, 10) || 300) * 1000;
+const HEARTBEAT_INTERVAL_SECONDS = parseInt(process.env.CLIENT_HEARTBEAT_INTERVAL_SECONDS, 10) || 60;
+
+// Concurrent sessions come from the package catalog, one when the package doesn't say
+function getSessionLimit(user, packages) {
+    return packages[user.subscription?.package]?.maxSessions || 1;
+}
+
+function hashSessionId(sessionId) {
+    return crypto.createHash('sha256').update(String(sessionId)).digest('hex');
+}
+
+function isLive(session, now = Date.now()) {
+    return session.status === 'active' && new Date(session.expiresAt).getTime() > now;
+}
+
+function createClientSessionService({ store }) {
+    const sessionsCollection = store.collection('clientSessions');
+
+    async function listActive(userId) {
+        const where = [['status', '==', 'active']];
+        if (userId) where.push(['userId', '==', userId]);
+        const sessions = await sessionsCollection.find({ where });
+        const now = Date.now();
+        return sessions
+            .filter(session => isLive(session, now))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Open a session, ending the oldest ones beyond the user's limit (the newest login wins)
+    // Returns { sessionId, expiresAt, evicted: [session] }
+    async function open(user, { hwid, ip, limit }) {
+        const sessionId = crypto.randomBytes(32).toString('base64url');
+        const now = new Date();
+        const session = {
+            userId: user.id,
+            username: user.username,
+            hwid,
+            ip,
+            status: 'active', // active, ended, revoked
+            createdAt: now.toISOString(),
+            lastHeartbeatAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + SESSION_TTL_MS).toISOString(),
+            endedAt: null,
+            endReason: null
+        };
+
+        const active = await listActive(user.id);
+        const evicted = active.slice(0, Math.max(0, active.length - limit + 1));
+        for (const old of evicted) {
+            await end(old.id, 'revoked', 'session_limit');
+        }
+
+        await sessionsCollection.set(hashSessionId(sessionId), session);
+        return { sessionId, expiresAt: session.expiresAt, evicted };
+    }
+
+    // Look up a session by the id the client holds. Returns null when unknown.
+    async function find(sessionId) {
+        if (!sessionId) return null;
+        return sessionsCollection.get(hashSessionId(sessionId));
+    }
+
+    // Look up by record id (the hash admins see)
+    async function get(id) {
+        return sessionsCollection.get(id);
+    }
+
+    async function touch(session) {
+        const now = new Date();
+        const updates = {
+            lastHeartbeatAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + SESSION_TTL_MS).toISOString()
+        };
+        await sessionsCollection.update(session.id, updates);
+        return { ...session, ...updates };
+    }
+
+    // status: 'ended' when the client signs out, 'revoked' when the server or an admin kills it
+    async function end(id, status, reason) {
+        await sessionsCollection.update(id, {
+            status,
+            endedAt: new Date().toISOString(),
+            endReason: reason
+        });
+    }
+
+    async function revokeAll(userId, reason) {
+        const active = await listActive(userId);
+        for (const session of active) {
+            await end(session.id, 'revoked', reason);
+        }
+        return active.length;
+    }
+
+    return {
+        heartbeatIntervalSeconds: HEARTBEAT_INTERVAL_SECONDS,
+        listActive,
+        open,
+        find,
+        get,
+        touch,
+        end,
+        revokeAll
+    };
+}
+
+module.exports = {
+    createClientSessionService,
+    getSessionLimit,
+    isLive
+};
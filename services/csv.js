@@ -0,0 +1,23 @@
+// Minimal CSV writer for admin exports
+
+// Spreadsheets run cells starting with these as formulas, so text values (usernames, user
+// agents...) that do get a leading ' and open as plain text. Numbers are left alone.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: row => ... }]
+function toCsv(rows, columns) {
+    const lines = [columns.map(column => escapeCsv(column.header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCsv(column.value(row))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,38 @@
+// Device seats - each license can be active on a limited number of machines
+
+// Minimum time between two self-service deactivations, so seats can't be rotated endlessly
+const DEACTIVATION_COOLDOWN_MS = (parseInt(process.env.DEVICE_DEACTIVATION_COOLDOWN_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Seats come from the package catalog (packages is a { [id]: package } map)
+function getSeatLimit(user, packages) {
+    return packages[user.subscription?.package]?.seats || 1;
+}
+
+// Records from before device seats hold a single hwid/hwidLockedAt pair
+function getDevices(user) {
+    if (Array.isArray(user.devices)) {
+        return user.devices;
+    }
+    if (user.hwid) {
+        return [{
+            hwid: user.hwid,
+            label: null,
+            firstSeenAt: user.hwidLockedAt,
+            lastSeenAt: user.lastLogin || user.hwidLockedAt
+        }];
+    }
+    return [];
+}
+
+// ISO time when the user may deactivate another device, or null if they can now
+function getDeactivationCooldownEnd(user) {
+    if (!user.lastDeviceDeactivatedAt) return null;
+    const endsAt = new Date(user.lastDeviceDeactivatedAt).getTime() + DEACTIVATION_COOLDOWN_MS;
+    return endsAt > Date.now() ? new Date(endsAt).toISOString() : null;
+}
+
+module.exports = {
+    getSeatLimit,
+    getDevices,
+    getDeactivationCooldownEnd
+};
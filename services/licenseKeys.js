@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+// Redeemable license keys for resellers and manual sales
+// Format: CURS-XXXX-XXXX-XXXX-XXXX (no 0/O/1/I to avoid typos)
+
+const KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function generateLicenseKey() {
+    const groups = [];
+    for (let g = 0; g < 4; g++) {
+        let group = '';
+        for (let i = 0; i < 4; i++) {
+            group += KEY_ALPHABET[crypto.randomInt(KEY_ALPHABET.length)];
+        }
+        groups.push(group);
+    }
+    return `CURS-${groups.join('-')}`;
+}
+
+// Accept keys typed in lowercase, with spaces or without dashes
+function normalizeLicenseKey(input) {
+    const compact = String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (!/^CURS[A-Z0-9]{16}$/.test(compact)) return null;
+    return `CURS-${compact.slice(4).match(/.{4}/g).join('-')}`;
+}
+
+// Work out the subscription updates for redeeming `key` on `user`
+// packages: the catalog map - one-time ('payment') packages give permanent access
+// Returns { error } or { updates, currentPeriodEnd }
+function getRedemptionUpdates(user, key, packages, now = new Date()) {
+    const subscription = user.subscription || {};
+    const pkg = packages[key.package];
+
+    if (key.status !== 'active') {
+        return { error: 'This license key has been revoked' };
+    }
+    if (key.expiresAt && new Date(key.expiresAt) <= now) {
+        return { error: 'This license key has expired' };
+    }
+    if ((key.redemptionCount || 0) >= key.maxRedemptions) {
+        return { error: 'This license key has already been used' };
+    }
+    if ((key.redemptions || []).some(r => r.userId === user.id)) {
+        return { error: 'You have already redeemed this license key' };
+    }
+    if (!pkg) {
+        return { error: 'This license key is for a package that is no longer available' };
+    }
+
+    const isActive = ['trialing', 'active', 'past_due'].includes(subscription.status);
+
+    if (isActive && packages[subscription.package]?.mode === 'payment') {
+        return { error: 'You already have permanent access' };
+    }
+    if (isActive && !['key', 'manual'].includes(subscription.source) && subscription.stripeSubscriptionId) {
+        return { error: 'You have an active subscription. License keys can be redeemed once it ends.' };
+    }
+
+    const updates = {
+        'subscription.status': 'active',
+        'subscription.source': 'key',
+        'subscription.graceEndsAt': null,
+        'subscription.pastDueSince': null
+    };
+
+    if (!isActive) {
+        updates['subscription.activatedAt'] = now.toISOString();
+        updates['subscription.cancelledAt'] = null;
+    }
+
+    if (pkg.mode === 'payment') {
+        updates['subscription.package'] = key.package;
+        updates['subscription.currentPeriodEnd'] = null;
+        return { updates, currentPeriodEnd: null };
+    }
+
+    // Extend from the current period end when the key license is still running
+    const currentEnd = isActive && subscription.currentPeriodEnd ? new Date(subscription.currentPeriodEnd) : null;
+    const base = currentEnd && currentEnd > now ? currentEnd : now;
+    const currentPeriodEnd = new Date(base.getTime() + key.durationDays * DAY_MS).toISOString();
+
+    updates['subscription.package'] = key.package;
+    updates['subscription.currentPeriodEnd'] = currentPeriodEnd;
+    return { updates, currentPeriodEnd };
+}
+
+module.exports = {
+    generateLicenseKey,
+    normalizeLicenseKey,
+    getRedemptionUpdates
+};
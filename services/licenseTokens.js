@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+
+// Offline license tokens for the C++ client
+// Format: base64url(header).base64url(payload).base64url(Ed25519 signature over "header.payload")
+// The client verifies the signature with a key from /api/license/public-keys and can run
+// offline until the token's exp.
+
+const TOKEN_TTL_DAYS = parseInt(process.env.LICENSE_TOKEN_TTL_DAYS, 10) || 7;
+const TOKEN_TTL_MS = TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+// Private keys are stored encrypted with AES-256-GCM under a key derived from
+// LICENSE_KEY_SECRET, as "<iv>.<auth tag>.<ciphertext>" (base64url). The kid is bound in as
+// associated data so an encrypted key can't be swapped onto another record.
+function deriveEncryptionKey(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+function encryptPrivateKey(encryptionKey, kid, privateKeyPem) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    cipher.setAAD(Buffer.from(kid));
+    const ciphertext = Buffer.concat([cipher.update(privateKeyPem, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptPrivateKey(encryptionKey, kid, encrypted) {
+    const [iv, tag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64url'));
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+        decipher.setAAD(Buffer.from(kid));
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error(`Cannot decrypt license signing key ${kid} - LICENSE_KEY_SECRET differs from the one it was created with`);
+    }
+}
+
+// encryptionSecret: LICENSE_KEY_SECRET, which encrypts the private keys at rest
+function createLicenseTokenService({ store, encryptionSecret }) {
+    const keysCollection = store.collection('signingKeys');
+    // settings/licenseSigning { activeKid } names the key new tokens are signed with. Only one
+    // writer can create or move it, so concurrent first uses or rotations agree on one key.
+    const settingsCollection = store.collection('settings');
+    const encryptionKey = deriveEncryptionKey(encryptionSecret);
+
+    async function generateKey() {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+        const publicDer = publicKey.export({ type: 'spki', format: 'der' });
+        // Raw 32-byte key is the tail of the SPKI structure
+        const rawPublicKey = publicDer.subarray(publicDer.length - 32);
+        const kid = crypto.createHash('sha256').update(rawPublicKey).digest('base64url').slice(0, 16);
+
+        const key = {
+            kid,
+            alg: 'EdDSA',
+            publicKey: rawPublicKey.toString('base64'),
+            publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+            privateKeyEncrypted: encryptPrivateKey(encryptionKey, kid, privateKey.export({ type: 'pkcs8', format: 'pem' })),
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            retiredAt: null
+        };
+
+        await keysCollection.set(key.kid, key);
+        return key;
+    }
+
+    // Keys created before encryption at rest hold privateKeyPem - encrypt those on first use
+    async function getPrivateKeyPem(key) {
+        if (key.privateKeyEncrypted) {
+            return decryptPrivateKey(encryptionKey, key.kid, key.privateKeyEncrypted);
+        }
+        const encrypted = await keysCollection.updateIf(key.id, [['privateKeyPem', '==', key.privateKeyPem]], {
+            privateKeyEncrypted: encryptPrivateKey(encryptionKey, key.kid, key.privateKeyPem),
+            privateKeyPem: null
+        });
+        if (encrypted) console.log(`🔑 Encrypted license signing key ${key.kid} at rest`);
+        return key.privateKeyPem;
+    }
+
+    async function getActiveKey() {
+        const state = await settingsCollection.get('licenseSigning');
+        if (state) {
+            return keysCollection.get(state.activeKid);
+        }
+
+        // First use - adopt the active key from before the pointer existed, or make one.
+        // If another request got there first, drop ours and use theirs.
+        const existing = await keysCollection.findOne([['status', '==', 'active']]);
+        const key = existing || await generateKey();
+        const created = await settingsCollection.create('licenseSigning', { activeKid: key.kid, updatedAt: new Date().toISOString() });
+        if (!created) {
+            if (!existing) await keysCollection.delete(key.kid);
+            return getActiveKey();
+        }
+        if (!existing) console.log(`🔑 Generated license signing key ${key.kid}`);
+        return key;
+    }
+
+    // Retire the active key and start signing with a new one. Retired keys stay
+    // published until every token they signed has expired.
+    // Returns { kid, retired } or { error } when another rotation finished first.
+    async function rotateKey() {
+        const current = await getActiveKey();
+        const key = await generateKey();
+        const moved = await settingsCollection.updateIf('licenseSigning', [['activeKid', '==', current.kid]], {
+            activeKid: key.kid,
+            updatedAt: new Date().toISOString()
+        });
+        if (!moved) {
+            await keysCollection.delete(key.kid);
+            return { error: 'The signing key was rotated by someone else at the same time' };
+        }
+
+        const retired = (await keysCollection.find({ where: [['status', '==', 'active']] }))
+            .filter(k => k.kid !== key.kid);
+        const retiredAt = new Date().toISOString();
+        for (const k of retired) {
+            await keysCollection.update(k.id, { status: 'retired', retiredAt });
+        }
+
+        console.log(`🔑 Generated license signing key ${key.kid}`);
+        return { kid: key.kid, retired: retired.map(k => k.kid) };
+    }
+
+    async function listPublicKeys() {
+        await getActiveKey();
+        const keys = await keysCollection.find({ orderBy: [['createdAt', 'desc']] });
+        const cutoff = Date.now() - TOKEN_TTL_MS;
+
+        return keys
+            .filter(key => key.status === 'active' || new Date(key.retiredAt).getTime() > cutoff)
+            .map(key => ({
+                kid: key.kid,
+                alg: key.alg,
+                status: key.status,
+                publicKey: key.publicKey,
+                publicKeyPem: key.publicKeyPem,
+                createdAt: key.createdAt,
+                retiredAt: key.retiredAt,
+                // Tokens signed by a retired key are valid at most until this time
+                validUntil: key.retiredAt ? new Date(new Date(key.retiredAt).getTime() + TOKEN_TTL_MS).toISOString() : null
+            }));
+    }
+
+    // Expiry is a rolling window, capped at the end of the paid period (or payment grace period)
+    // pkg is the catalog entry for the user's package (source of the entitlements)
+    async function issueToken(user, hwid, pkg) {
+        const key = await getActiveKey();
+        const now = Date.now();
+        const packageType = user.subscription.package;
+
+        let expiresAt = now + TOKEN_TTL_MS;
+        if (user.subscription.currentPeriodEnd) {
+            expiresAt = Math.min(expiresAt, new Date(user.subscription.currentPeriodEnd).getTime());
+        }
+        if (user.subscription.graceEndsAt) {
+            expiresAt = Math.min(expiresAt, new Date(user.subscription.graceEndsAt).getTime());
+        }
+
+        const header = { alg: 'EdDSA', typ: 'LIC', kid: key.kid };
+        const payload = {
+            sub: user.id,
+            username: user.username,
+            hwid,
+            pkg: packageType,
+            ent: pkg?.entitlements || [],
+            iat: Math.floor(now / 1000),
+            exp: Math.floor(expiresAt / 1000)
+        };
+
+        const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+        const signature = crypto.sign(null, Buffer.from(signingInput), await getPrivateKeyPem(key));
+
+        return {
+            token: `${signingInput}.${signature.toString('base64url')}`,
+            expiresAt: new Date(payload.exp * 1000).toISOString()
+        };
+    }
+
+    return {
+        issueToken,
+        listPublicKeys,
+        rotateKey
+    };
+}
+
+module.exports = { createLicenseTokenService };
@@ -0,0 +1,66 @@
+// License state rules shared by the client login and the dashboard
+
+// How long a past_due license keeps working after a failed payment
+const GRACE_PERIOD_MS = (parseInt(process.env.PAYMENT_GRACE_PERIOD_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+function getGraceEnd(from = new Date()) {
+    return new Date(from.getTime() + GRACE_PERIOD_MS).toISOString();
+}
+
+function isGraceExpired(subscription, now = new Date()) {
+    return subscription.status === 'past_due'
+        && !!subscription.graceEndsAt
+        && new Date(subscription.graceEndsAt) <= now;
+}
+
+// A license ends at currentPeriodEnd, whatever its source - the same time offline license
+// tokens expire. Lifetime licenses have no currentPeriodEnd.
+function isPeriodExpired(subscription, now = new Date()) {
+    return !!subscription.currentPeriodEnd && new Date(subscription.currentPeriodEnd) <= now;
+}
+
+// Decide whether the client may run with this license
+// Returns { allowed, message, warning }
+function evaluateLicense(user, now = new Date()) {
+    const subscription = user.subscription;
+
+    if (!subscription) {
+        return { allowed: false, message: 'No active license. Please purchase a subscription.' };
+    }
+
+    switch (subscription.status) {
+        case 'active':
+            if (isPeriodExpired(subscription, now)) {
+                return { allowed: false, message: 'Your license has expired. Redeem a new key or purchase a subscription.' };
+            }
+            return { allowed: true };
+
+        // Free trial - works like an active subscription until the trial period ends
+        case 'trialing':
+            if (isPeriodExpired(subscription, now)) {
+                return { allowed: false, message: 'Your free trial has ended. Purchase a subscription to keep using CURSED.' };
+            }
+            return { allowed: true };
+
+        case 'past_due':
+            if (isGraceExpired(subscription, now)) {
+                return { allowed: false, message: 'License suspended due to a failed payment. Update your payment method from the dashboard.' };
+            }
+            return {
+                allowed: true,
+                warning: `Payment failed. Update your payment method before ${new Date(subscription.graceEndsAt).toUTCString()} to keep your license.`
+            };
+
+        case 'suspended':
+            return { allowed: false, message: 'License suspended due to a failed payment. Update your payment method from the dashboard.' };
+
+        default:
+            return { allowed: false, message: 'No active license. Please purchase a subscription.' };
+    }
+}
+
+module.exports = {
+    getGraceEnd,
+    isGraceExpired,
+    evaluateLicense
+};
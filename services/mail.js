@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing mail behind a pluggable transport, picked with MAIL_TRANSPORT:
+//   smtp    - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   file    - appends each message as a JSON line to MAIL_FILE_PATH (default data/mail.log)
+//   console - prints messages to stdout (default outside production)
+
+const MAIL_FROM = process.env.MAIL_FROM || 'CURSED <no-reply@cursed.local>';
+
+function createSmtpTransport() {
+    // Only needed when actually sending over SMTP
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: message => transporter.sendMail(message)
+    };
+}
+
+function createFileTransport(file = process.env.MAIL_FILE_PATH || path.join(__dirname, '..', 'data', 'mail.log')) {
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+        }
+    };
+}
+
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    };
+}
+
+function createMailer({ transport } = {}) {
+    const kind = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+    if (!transport) {
+        switch (kind) {
+            case 'smtp':
+                transport = createSmtpTransport();
+                break;
+            case 'file':
+                transport = createFileTransport();
+                break;
+            case 'console':
+                transport = createConsoleTransport();
+                break;
+            default:
+                throw new Error(`Unknown MAIL_TRANSPORT "${kind}"`);
+        }
+    }
+
+    // message: { to, subject, text, html }
+    async function send(message) {
+        await transport.send({ from: MAIL_FROM, ...message });
+    }
+
+    return {
+        transport: transport.name,
+        send
+    };
+}
+
+module.exports = {
+    createMailer,
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt parameters for new hashes. Stored hashes carry their own parameters,
+// so raising these only causes existing hashes to be upgraded on next login.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Stored format: scrypt$N$r$p$salt$hash (salt and hash base64)
+const HASH_PATTERN = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/;
+
+// Password policy, configurable through environment variables
+const passwordPolicy = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 128,
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT === 'true',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    disallowUsername: process.env.PASSWORD_DISALLOW_USERNAME !== 'false'
+};
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Constant-time comparison that also hides length differences
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(a).digest();
+    const digestB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+// Returns { valid, needsRehash }. Legacy plaintext records are accepted once
+// and flagged so the caller can replace them with a hash.
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    const match = stored.match(HASH_PATTERN);
+
+    if (!match) {
+        return { valid: safeEqual(password, stored), needsRehash: true };
+    }
+
+    const [, N, r, p, salt, expected] = match;
+    const expectedHash = Buffer.from(expected, 'base64');
+    const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+
+    const valid = hash.length === expectedHash.length && crypto.timingSafeEqual(hash, expectedHash);
+    const needsRehash = Number(N) !== SCRYPT_PARAMS.N
+        || Number(r) !== SCRYPT_PARAMS.r
+        || Number(p) !== SCRYPT_PARAMS.p
+        || expectedHash.length !== KEY_LENGTH;
+
+    return { valid, needsRehash };
+}
+
+// Returns an error message, or null when the password satisfies the policy
+function validatePassword(password, username) {
+    if (typeof password !== 'string') {
+        return 'Password is required';
+    }
+    if (password.length < passwordPolicy.minLength) {
+        return `Password must be at least ${passwordPolicy.minLength} characters`;
+    }
+    if (password.length > passwordPolicy.maxLength) {
+        return `Password must be at most ${passwordPolicy.maxLength} characters`;
+    }
+    if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+        return 'Password must contain a lowercase letter';
+    }
+    if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+        return 'Password must contain an uppercase letter';
+    }
+    if (passwordPolicy.requireDigit && !/[0-9]/.test(password)) {
+        return 'Password must contain a number';
+    }
+    if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        return 'Password must contain a symbol';
+    }
+    if (passwordPolicy.disallowUsername && username && password.toLowerCase().includes(username.toLowerCase())) {
+        return 'Password must not contain your username';
+    }
+    return null;
+}
+
+module.exports = {
+    passwordPolicy,
+    hashPassword,
+    verifyPassword,
+    validatePassword
+};
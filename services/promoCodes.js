@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { increment } = require('../storage');
+
+// Admin-managed promo codes for Stripe checkout
+// A code takes a percentage or a fixed amount off the first payment. It can be limited to some
+// packages, capped at a number of redemptions and given an expiry date.
+// Starting a checkout reserves one use of the code until the checkout session expires, so
+// concurrent checkouts can't go past the cap. The reservation turns into a redemption when
+// Stripe reports the checkout completed, and is released when it expires or is abandoned.
+
+const TYPES = ['percent', 'fixed'];
+
+// Checkout sessions with a promo code expire after this, and so does their reservation
+const RESERVATION_TTL_MS = 60 * 60 * 1000;
+// Expired reservations are kept this long in case the completion webhook arrives late
+const RESERVATION_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Codes are typed by customers, so they are matched case-insensitively and stored uppercase
+function normalizePromoCode(input) {
+    const code = String(input || '').trim().toUpperCase();
+    return /^[A-Z0-9_-]{3,32}$/.test(code) ? code : null;
+}
+
+// "20% off" / "5.00 USD off" for messages and the admin list
+function describeDiscount(promoCode) {
+    return promoCode.type === 'percent'
+        ? `${promoCode.value}% off`
+        : `${promoCode.value.toFixed(2)} ${promoCode.currency.toUpperCase()} off`;
+}
+
+// Reservations still holding a use of the code: { reservationId: expiresAt }
+function getPendingReservations(promoCode, now = new Date()) {
+    return Object.fromEntries(Object.entries(promoCode.reservations || {})
+        .filter(([, expiresAt]) => expiresAt && new Date(expiresAt) > now));
+}
+
+function createPromoCodes({ store }) {
+    const promoCodesCollection = store.collection('promoCodes');
+
+    async function list() {
+        return promoCodesCollection.find({ orderBy: [['createdAt', 'desc']] });
+    }
+
+    async function get(input) {
+        const code = normalizePromoCode(input);
+        return code ? promoCodesCollection.get(code) : null;
+    }
+
+    // input: { code, type, value, currency, packages, maxRedemptions, expiresAt }
+    // value is a percentage, or an amount in the currency's major unit like package prices.
+    // Returns { error } or { promoCode }
+    async function create(input, actor) {
+        const code = normalizePromoCode(input.code);
+        const value = Number(input.value);
+        const maxRedemptions = input.maxRedemptions ? parseInt(input.maxRedemptions, 10) : null;
+        const packages = input.packages ?? [];
+
+        if (!code) {
+            return { error: 'Code must be 3-32 letters, numbers, dashes or underscores' };
+        }
+        if (!TYPES.includes(input.type)) {
+            return { error: `Type must be one of: ${TYPES.join(', ')}` };
+        }
+        if (input.type === 'percent' && !(value > 0 && value <= 100)) {
+            return { error: 'Percent off must be between 1 and 100' };
+        }
+        if (input.type === 'fixed' && !(value > 0)) {
+            return { error: 'Amount off must be a positive number' };
+        }
+        if (maxRedemptions !== null && !(maxRedemptions >= 1)) {
+            return { error: 'Max redemptions must be at least 1' };
+        }
+        if (input.expiresAt && isNaN(new Date(input.expiresAt))) {
+            return { error: 'Invalid expiry date' };
+        }
+        if (!Array.isArray(packages)) {
+            return { error: 'Packages must be a list' };
+        }
+        if (await promoCodesCollection.get(code)) {
+            return { error: `Promo code ${code} already exists` };
+        }
+
+        const promoCode = await promoCodesCollection.set(code, {
+            type: input.type,
+            value,
+            currency: input.type === 'fixed' ? String(input.currency || 'usd').toLowerCase() : null,
+            packages, // package ids it applies to, empty for all
+            maxRedemptions, // null for unlimited
+            redemptionCount: 0,
+            reservations: {}, // checkouts in progress, see reserve()
+            revision: 0, // bumped on every reservation change
+            expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+            active: true,
+            createdAt: new Date().toISOString(),
+            createdBy: actor.username,
+            deactivatedAt: null,
+            deactivatedBy: null
+        });
+        return { promoCode };
+    }
+
+    async function deactivate(promoCode, actor) {
+        await promoCodesCollection.update(promoCode.id, {
+            active: false,
+            deactivatedAt: new Date().toISOString(),
+            deactivatedBy: actor.username
+        });
+    }
+
+    // Can this code be used to buy pkg right now? Returns { error } or { promoCode }
+    async function validate(input, pkg, now = new Date()) {
+        const promoCode = await get(input);
+
+        if (!promoCode) {
+            return { error: 'Promo code not found' };
+        }
+        if (!promoCode.active) {
+            return { error: 'This promo code is no longer valid' };
+        }
+        if (promoCode.expiresAt && new Date(promoCode.expiresAt) <= now) {
+            return { error: 'This promo code has expired' };
+        }
+        const pending = Object.keys(getPendingReservations(promoCode, now)).length;
+        if (promoCode.maxRedemptions && promoCode.redemptionCount + pending >= promoCode.maxRedemptions) {
+            return { error: 'This promo code has been fully redeemed' };
+        }
+        if (promoCode.packages.length && !promoCode.packages.includes(pkg.id)) {
+            return { error: `This promo code does not apply to the ${pkg.name} package` };
+        }
+        if (promoCode.type === 'fixed' && promoCode.currency !== pkg.currency) {
+            return { error: `This promo code does not apply to the ${pkg.name} package` };
+        }
+        return { promoCode };
+    }
+
+    // Parameters for a single-use Stripe coupon carrying the code's discount
+    function toStripeCoupon(promoCode, user) {
+        return {
+            ...(promoCode.type === 'percent'
+                ? { percent_off: promoCode.value }
+                : { amount_off: Math.round(promoCode.value * 100), currency: promoCode.currency }),
+            duration: 'once',
+            max_redemptions: 1,
+            name: promoCode.id,
+            metadata: { promoCode: promoCode.id, userId: user.id }
+        };
+    }
+
+    // Hold one use of a validated code for a checkout. Returns { error } or { reservationId, expiresAt }
+    async function reserve(promoCode, now = new Date()) {
+        let current = promoCode;
+        while (current) {
+            if (!current.active) {
+                return { error: 'This promo code is no longer valid' };
+            }
+            const pending = getPendingReservations(current, now);
+            if (current.maxRedemptions && current.redemptionCount + Object.keys(pending).length >= current.maxRedemptions) {
+                return { error: 'This promo code has been fully redeemed' };
+            }
+
+            // Recently expired reservations are carried over for late completions, older ones dropped
+            const retained = getPendingReservations(current, new Date(now.getTime() - RESERVATION_RETENTION_MS));
+            const reservationId = crypto.randomBytes(8).toString('hex');
+            const expiresAt = new Date(now.getTime() + RESERVATION_TTL_MS).toISOString();
+
+            // Only written if nobody else reserved, redeemed or released since we read the code
+            const reserved = await promoCodesCollection.updateIf(current.id, [
+                ['active', '==', true],
+                ['revision', '==', current.revision || 0]
+            ], {
+                reservations: { ...retained, [reservationId]: expiresAt },
+                revision: (current.revision || 0) + 1
+            });
+            if (reserved) {
+                return { reservationId, expiresAt };
+            }
+            current = await promoCodesCollection.get(current.id);
+        }
+        return { error: 'Promo code not found' };
+    }
+
+    // Give a reservation's use back - the checkout expired or couldn't be created
+    async function release(code, reservationId) {
+        await promoCodesCollection.update(code, {
+            [`reservations.${reservationId}`]: null,
+            revision: increment(1)
+        });
+    }
+
+    // Count a completed checkout. Each reservation is counted once, so a replayed webhook
+    // doesn't count twice. Checkouts started before reservations existed have none.
+    async function recordRedemption(code, reservationId) {
+        const updates = {
+            redemptionCount: increment(1),
+            revision: increment(1),
+            lastRedeemedAt: new Date().toISOString()
+        };
+        if (!reservationId) {
+            await promoCodesCollection.update(code, updates);
+            return true;
+        }
+
+        const redeemed = await promoCodesCollection.updateIf(code, [[`reservations.${reservationId}`, '!=', null]], {
+            ...updates,
+            [`reservations.${reservationId}`]: null
+        });
+        return !!redeemed;
+    }
+
+    return {
+        list,
+        get,
+        create,
+        deactivate,
+        validate,
+        toStripeCoupon,
+        reserve,
+        release,
+        recordRedemption
+    };
+}
+
+module.exports = {
+    normalizePromoCode,
+    describeDiscount,
+    getPendingReservations,
+    createPromoCodes
+};
@@ -0,0 +1,167 @@
+// Brute-force protection for the auth endpoints: sliding-window rate limits and
+// temporary account lockout with exponential backoff.
+// Counters live in a pluggable store. The in-memory store below is the default; when
+// running several server processes pass a shared store (e.g. Redis) implementing the
+// same async hit/reset/get/set methods.
+
+const MINUTE_MS = 60 * 1000;
+
+function envInt(name, fallback) {
+    return parseInt(process.env[name], 10) || fallback;
+}
+
+const DEFAULT_LIMITS = {
+    windowMs: envInt('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15) * MINUTE_MS,
+    loginPerIp: envInt('LOGIN_MAX_PER_IP', 30),
+    loginPerUsername: envInt('LOGIN_MAX_PER_USERNAME', 20),
+    signupWindowMs: 60 * MINUTE_MS,
+    signupPerIp: envInt('SIGNUP_MAX_PER_IP', 5),
+    // Verification and password reset emails
+    mailWindowMs: 60 * MINUTE_MS,
+    mailPerIp: envInt('MAIL_MAX_PER_IP', 10),
+    mailPerAccount: envInt('MAIL_MAX_PER_ACCOUNT', 3),
+    // Failed passwords within windowMs before the account is locked
+    lockoutThreshold: envInt('LOCKOUT_THRESHOLD', 5),
+    // Lockouts double each time (1, 2, 4, ... minutes) up to the maximum
+    lockoutBaseMs: envInt('LOCKOUT_BASE_MINUTES', 1) * MINUTE_MS,
+    lockoutMaxMs: envInt('LOCKOUT_MAX_MINUTES', 60) * MINUTE_MS,
+    // How long a lockout level is remembered before backoff starts over
+    lockoutMemoryMs: 24 * 60 * MINUTE_MS
+};
+
+function createMemoryCounterStore({ pruneIntervalMs = MINUTE_MS } = {}) {
+    const hits = new Map(); // key -> { windowMs, times: [timestamp] }
+    const values = new Map(); // key -> { value, expiresAt }
+
+    // Record a hit unless the key is already at max. Returns the number of hits in
+    // the window (max + 1 when over the limit) and when the oldest one leaves it.
+    async function hit(key, windowMs, max = Infinity) {
+        const now = Date.now();
+        const entry = hits.get(key) || { windowMs, times: [] };
+        entry.windowMs = windowMs;
+        entry.times = entry.times.filter(time => time > now - windowMs);
+
+        const limited = entry.times.length >= max;
+        if (!limited) {
+            entry.times.push(now);
+        }
+        hits.set(key, entry);
+
+        return {
+            count: limited ? entry.times.length + 1 : entry.times.length,
+            resetAt: entry.times[0] + windowMs
+        };
+    }
+
+    async function reset(key) {
+        hits.delete(key);
+        values.delete(key);
+    }
+
+    async function get(key) {
+        const entry = values.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            values.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    async function set(key, value, ttlMs) {
+        values.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    // Drop expired entries so idle keys don't accumulate
+    function prune() {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.times.every(time => time <= now - entry.windowMs)) hits.delete(key);
+        }
+        for (const [key, entry] of values) {
+            if (entry.expiresAt <= now) values.delete(key);
+        }
+    }
+
+    setInterval(prune, pruneIntervalMs).unref();
+
+    return {
+        hit,
+        reset,
+        get,
+        set
+    };
+}
+
+// Every throttled response looks the same: 429, Retry-After in seconds, JSON body
+function sendTooManyRequests(res, retryAfterMs, message = 'Too many requests. Please try again later.') {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message,
+        retryAfter
+    });
+}
+
+function createAuthLimiter({ store = createMemoryCounterStore(), limits = DEFAULT_LIMITS } = {}) {
+    // Express middleware allowing max requests per windowMs for each key(req)
+    function limit(name, { max, windowMs, key = req => req.ip, message }) {
+        return async (req, res, next) => {
+            const value = key(req);
+            if (!value) return next();
+
+            try {
+                const { count, resetAt } = await store.hit(`${name}:${value}`, windowMs, max);
+                if (count > max) {
+                    return sendTooManyRequests(res, resetAt - Date.now(), message);
+                }
+            } catch (error) {
+                // Fail open - a broken counter store must not lock everyone out
+                console.error(`Rate limit check failed (${name}):`, error);
+            }
+            next();
+        };
+    }
+
+    // Milliseconds until the account unlocks, or 0 if it isn't locked
+    async function getLockout(username) {
+        const lockout = await store.get(`lockout:${username}`);
+        return lockout ? Math.max(0, lockout.until - Date.now()) : 0;
+    }
+
+    // Count a failed password. Returns { lockedForMs, level } when this failure locks the account
+    async function recordFailure(username) {
+        const { count } = await store.hit(`failures:${username}`, limits.windowMs);
+        if (count < limits.lockoutThreshold) {
+            return null;
+        }
+
+        const previous = await store.get(`lockout:${username}`);
+        const level = (previous?.level || 0) + 1;
+        const lockedForMs = Math.min(limits.lockoutBaseMs * 2 ** (level - 1), limits.lockoutMaxMs);
+
+        await store.set(`lockout:${username}`, { until: Date.now() + lockedForMs, level }, lockedForMs + limits.lockoutMemoryMs);
+        await store.reset(`failures:${username}`);
+        return { lockedForMs, level };
+    }
+
+    async function recordSuccess(username) {
+        await store.reset(`failures:${username}`);
+        await store.reset(`lockout:${username}`);
+    }
+
+    return {
+        limits,
+        limit,
+        getLockout,
+        recordFailure,
+        recordSuccess
+    };
+}
+
+module.exports = {
+    createAuthLimiter,
+    createMemoryCounterStore,
+    sendTooManyRequests
+};
@@ -0,0 +1,215 @@
+const { getGraceEnd } = require('./licenses');
+
+// Stripe reconciliation - repairs subscription state that drifted because a webhook was
+// missed. Stripe is the source of truth for every account with a Stripe customer, except
+// licenses that came from a key or a staff grant, which are left alone.
+
+const BATCH_SIZE = 100;
+
+// Stripe subscription status -> our subscription.status
+const STATUS_MAP = {
+    active: 'active',
+    trialing: 'trialing',
+    past_due: 'past_due',
+    unpaid: 'suspended',
+    canceled: 'cancelled',
+    incomplete_expired: 'cancelled',
+    paused: 'suspended'
+};
+
+// Fields compared with Stripe - anything else on the subscription is ours alone
+const RECONCILED_FIELDS = ['status', 'package', 'source', 'stripeSubscriptionId', 'currentPeriodEnd', 'cancelAtPeriodEnd'];
+
+function toIso(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function createReconciler({ store, stripe, catalog, audit }) {
+    const usersCollection = store.collection('users');
+    let running = false;
+
+    // Every account that has ever reached Stripe checkout, a page at a time
+    async function* customers() {
+        let startAfter;
+        while (true) {
+            const batch = await usersCollection.find({
+                where: [['subscription.stripeCustomerId', '>', '']],
+                orderBy: [['subscription.stripeCustomerId', 'asc']],
+                startAfter,
+                limit: BATCH_SIZE
+            });
+            yield* batch;
+            if (batch.length < BATCH_SIZE) return;
+            startAfter = [batch[batch.length - 1].subscription.stripeCustomerId];
+        }
+    }
+
+    // The subscription state Stripe says this user should have, or null when Stripe
+    // knows of no purchase (nothing to compare against)
+    async function getStripeState(user, packages) {
+        const customerId = user.subscription.stripeCustomerId;
+        const packageForPrice = priceId => packages.find(pkg => pkg.priceId === priceId)?.id || null;
+
+        // A paid (and not refunded) one-time purchase outranks any subscription
+        const sessions = await stripe.checkout.sessions.list({
+            customer: customerId,
+            limit: 100,
+            expand: ['data.payment_intent.latest_charge']
+        });
+        const purchase = sessions.data.find(session => session.mode === 'payment'
+            && session.status === 'complete'
+            && session.payment_status === 'paid'
+            && session.metadata?.packageType
+            && !session.payment_intent?.latest_charge?.refunded);
+        if (purchase) {
+            return {
+                status: 'active',
+                package: purchase.metadata.packageType,
+                source: 'stripe',
+                stripeSubscriptionId: null,
+                currentPeriodEnd: null,
+                cancelAtPeriodEnd: false
+            };
+        }
+
+        const subscriptions = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100 });
+        const known = subscriptions.data.filter(subscription => STATUS_MAP[subscription.status]);
+        if (!known.length) return null;
+
+        // Prefer the subscription we already track, then the newest one still running
+        const live = known.filter(subscription => STATUS_MAP[subscription.status] !== 'cancelled');
+        const subscription = known.find(sub => sub.id === user.subscription.stripeSubscriptionId && STATUS_MAP[sub.status] !== 'cancelled')
+            || live.sort((a, b) => b.created - a.created)[0]
+            || known.sort((a, b) => b.created - a.created)[0];
+
+        return {
+            status: STATUS_MAP[subscription.status],
+            package: packageForPrice(subscription.items?.data?.[0]?.price?.id) || user.subscription.package,
+            source: 'stripe',
+            stripeSubscriptionId: subscription.id,
+            currentPeriodEnd: toIso(subscription.current_period_end),
+            cancelAtPeriodEnd: !!subscription.cancel_at_period_end
+        };
+    }
+
+    // { field: { from, to } } for every reconciled field that differs
+    function diff(subscription, expected) {
+        const changes = {};
+        for (const field of RECONCILED_FIELDS) {
+            const from = subscription[field] ?? null;
+            const to = expected[field] ?? null;
+            if (field === 'cancelAtPeriodEnd' ? !!from !== !!to : from !== to) {
+                changes[field] = { from, to };
+            }
+        }
+        return changes;
+    }
+
+    function toUpdates(user, changes) {
+        const updates = {};
+        for (const [field, { to }] of Object.entries(changes)) {
+            updates[`subscription.${field}`] = to;
+        }
+
+        const status = changes.status?.to;
+        if (status === 'active' && !user.subscription.activatedAt) {
+            updates['subscription.activatedAt'] = new Date().toISOString();
+        }
+        if (status === 'active') {
+            updates['subscription.pastDueSince'] = null;
+            updates['subscription.graceEndsAt'] = null;
+            updates['subscription.paymentUpdateUrl'] = null;
+        }
+        if (status === 'past_due' && !user.subscription.graceEndsAt) {
+            updates['subscription.pastDueSince'] = new Date().toISOString();
+            updates['subscription.graceEndsAt'] = getGraceEnd();
+        }
+        if (status === 'cancelled') {
+            updates['subscription.cancelledAt'] = new Date().toISOString();
+        }
+        if (changes.cancelAtPeriodEnd && !changes.cancelAtPeriodEnd.to) {
+            updates['subscription.cancelRequestedAt'] = null;
+        }
+        return updates;
+    }
+
+    // Compare every Stripe customer with Stripe and fix what differs (unless dryRun)
+    // options: { dryRun, actor, req }. Returns { dryRun, startedAt, finishedAt, checked, changed: [...], errors: [...] }
+    // Throws an error with code 'ALREADY_RUNNING' while another run is in progress
+    async function run(options = {}) {
+        if (running) {
+            const error = new Error('Reconciliation is already running');
+            error.code = 'ALREADY_RUNNING';
+            throw error;
+        }
+
+        running = true;
+        try {
+            return await reconcile(options);
+        } finally {
+            running = false;
+        }
+    }
+
+    async function reconcile({ dryRun = false, actor = 'system', req }) {
+        const report = {
+            dryRun,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            checked: 0,
+            changed: [],
+            errors: []
+        };
+        const packages = await catalog.list({ includeInactive: true });
+
+        for await (const user of customers()) {
+            report.checked++;
+
+            // Key and staff-granted licenses aren't Stripe's to change
+            if (['key', 'manual'].includes(user.subscription.source) && user.subscription.status === 'active') {
+                continue;
+            }
+
+            try {
+                let expected = await getStripeState(user, packages);
+                if (!expected) {
+                    // Stripe has nothing for this customer - a Stripe license we think is running has ended
+                    if (user.subscription.source !== 'stripe' || !['trialing', 'active', 'past_due'].includes(user.subscription.status)) {
+                        continue;
+                    }
+                    expected = { ...user.subscription, status: 'cancelled', cancelAtPeriodEnd: false };
+                }
+
+                // Stripe keeps retrying a past_due invoice after our grace period has suspended the license
+                const graceEndsAt = user.subscription.graceEndsAt;
+                if (expected.status === 'past_due' && graceEndsAt && new Date(graceEndsAt) <= new Date()) {
+                    expected.status = 'suspended';
+                }
+
+                const changes = diff(user.subscription, expected);
+                if (!Object.keys(changes).length) continue;
+
+                report.changed.push({ userId: user.id, username: user.username, changes });
+                if (dryRun) continue;
+
+                await usersCollection.update(user.id, toUpdates(user, changes));
+                await audit.record({
+                    type: 'subscription.reconciled',
+                    req,
+                    actor,
+                    target: user,
+                    details: { changes }
+                });
+            } catch (error) {
+                report.errors.push({ userId: user.id, username: user.username, message: error.message });
+            }
+        }
+
+        report.finishedAt = new Date().toISOString();
+        return report;
+    }
+
+    return { run };
+}
+
+module.exports = { createReconciler };
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Client builds: admin-managed releases on a stable or beta channel, stored under RELEASES_DIR
+// and handed out through short-lived signed download URLs.
+// A release is { version, channel, changelog, minSupportedVersion, fileName, sha256, size,
+// published, publishedAt, createdAt, createdBy }.
+
+const CHANNELS = ['stable', 'beta'];
+const DOWNLOAD_URL_TTL_MS = (parseInt(process.env.DOWNLOAD_URL_TTL_MINUTES, 10) || 15) * 60 * 1000;
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/;
+
+function isValidVersion(version) {
+    return VERSION_PATTERN.test(String(version || ''));
+}
+
+// Semver ordering: numeric parts first, then a pre-release (1.2.0-beta.1) sorts before its release
+function compareVersions(a, b) {
+    const [, ...partsA] = VERSION_PATTERN.exec(a);
+    const [, ...partsB] = VERSION_PATTERN.exec(b);
+
+    for (let i = 0; i < 3; i++) {
+        const diff = Number(partsA[i]) - Number(partsB[i]);
+        if (diff !== 0) return Math.sign(diff);
+    }
+
+    const [preA, preB] = [partsA[3], partsB[3]];
+    if (preA === preB) return 0;
+    if (!preA) return 1;
+    if (!preB) return -1;
+
+    const idsA = preA.split('.');
+    const idsB = preB.split('.');
+    for (let i = 0; i < Math.max(idsA.length, idsB.length); i++) {
+        if (idsA[i] === undefined) return -1;
+        if (idsB[i] === undefined) return 1;
+        const numeric = /^\d+$/.test(idsA[i]) && /^\d+$/.test(idsB[i]);
+        const diff = numeric ? Number(idsA[i]) - Number(idsB[i]) : idsA[i].localeCompare(idsB[i]);
+        if (diff !== 0) return Math.sign(diff);
+    }
+    return 0;
+}
+
+function createReleaseService({ store, dir }) {
+    const releasesCollection = store.collection('releases');
+    const settingsCollection = store.collection('settings');
+    const releasesDir = path.resolve(dir);
+    let signingSecret = process.env.DOWNLOAD_SIGNING_SECRET || null;
+
+    // Shared by every server instance through storage unless DOWNLOAD_SIGNING_SECRET is set
+    async function getSigningSecret() {
+        if (signingSecret) return signingSecret;
+
+        const stored = await settingsCollection.get('releaseDownloads');
+        if (stored?.secret) {
+            signingSecret = stored.secret;
+        } else {
+            signingSecret = crypto.randomBytes(32).toString('base64url');
+            await settingsCollection.set('releaseDownloads', { secret: signingSecret, createdAt: new Date().toISOString() });
+            console.log('🔑 Generated download URL signing secret');
+        }
+        return signingSecret;
+    }
+
+    async function list({ includeUnpublished = false } = {}) {
+        const releases = await releasesCollection.find({ orderBy: [['createdAt', 'desc']] });
+        return releases
+            .filter(release => includeUnpublished || release.published)
+            .sort((a, b) => compareVersions(b.version, a.version));
+    }
+
+    async function get(id) {
+        return releasesCollection.get(id);
+    }
+
+    // Newest published release with a file on any of the given channels
+    async function latest(channels) {
+        const releases = await list();
+        return releases.find(release => channels.includes(release.channel) && release.sha256) || null;
+    }
+
+    function validate(fields) {
+        if (fields.channel !== undefined && !CHANNELS.includes(fields.channel)) {
+            return `Channel must be one of: ${CHANNELS.join(', ')}`;
+        }
+        if (fields.minSupportedVersion && !isValidVersion(fields.minSupportedVersion)) {
+            return 'Minimum supported version must look like 1.2.3';
+        }
+        if (fields.changelog !== undefined && typeof fields.changelog !== 'string') {
+            return 'Changelog must be text';
+        }
+        return null;
+    }
+
+    // Returns { error } or { release }
+    async function create({ version, channel = 'stable', changelog = '', minSupportedVersion = null }, actor) {
+        if (!isValidVersion(version)) {
+            return { error: 'Version must look like 1.2.3 or 1.2.3-beta.1' };
+        }
+        const error = validate({ channel, changelog, minSupportedVersion });
+        if (error) return { error };
+        if (minSupportedVersion && compareVersions(minSupportedVersion, version) > 0) {
+            return { error: 'Minimum supported version cannot be newer than the release' };
+        }
+        if (await releasesCollection.findOne([['version', '==', version]])) {
+            return { error: `Version ${version} already exists` };
+        }
+
+        const release = await releasesCollection.add({
+            version,
+            channel,
+            changelog,
+            minSupportedVersion: minSupportedVersion || null,
+            fileName: null,
+            sha256: null,
+            size: null,
+            published: false,
+            publishedAt: null,
+            createdAt: new Date().toISOString(),
+            createdBy: actor.username
+        });
+        return { release };
+    }
+
+    // Change channel, changelog, minimum version or published state. Returns { error } or { release }
+    async function update(release, { channel, changelog, minSupportedVersion, published }) {
+        const error = validate({ channel, changelog, minSupportedVersion });
+        if (error) return { error };
+        if (minSupportedVersion && compareVersions(minSupportedVersion, release.version) > 0) {
+            return { error: 'Minimum supported version cannot be newer than the release' };
+        }
+        if (published && !release.sha256) {
+            return { error: 'Upload the build before publishing' };
+        }
+
+        const updates = {};
+        if (channel !== undefined) updates.channel = channel;
+        if (changelog !== undefined) updates.changelog = changelog;
+        if (minSupportedVersion !== undefined) updates.minSupportedVersion = minSupportedVersion || null;
+        if (published !== undefined) {
+            updates.published = !!published;
+            updates.publishedAt = published ? (release.publishedAt || new Date().toISOString()) : null;
+        }
+
+        await releasesCollection.update(release.id, updates);
+        return { release: { ...release, ...updates } };
+    }
+
+    function getFilePath(release) {
+        return path.join(releasesDir, release.id, release.fileName);
+    }
+
+    // Stream an uploaded build to disk, hashing it on the way. Replaces any earlier file.
+    async function storeFile(release, input, originalName) {
+        const fileName = path.basename(String(originalName || `build-${release.version}`)).replace(/[^\w.-]/g, '_');
+        const releaseDir = path.join(releasesDir, release.id);
+        const tmpPath = path.join(releaseDir, `.${fileName}.upload`);
+        fs.mkdirSync(releaseDir, { recursive: true });
+
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        await new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(tmpPath);
+            input.on('data', chunk => {
+                hash.update(chunk);
+                size += chunk.length;
+            });
+            input.on('error', reject);
+            output.on('error', reject);
+            output.on('finish', resolve);
+            input.pipe(output);
+        });
+
+        if (size === 0) {
+            fs.rmSync(tmpPath, { force: true });
+            return { error: 'The uploaded file is empty' };
+        }
+
+        if (release.fileName && release.fileName !== fileName) {
+            fs.rmSync(getFilePath(release), { force: true });
+        }
+        fs.renameSync(tmpPath, path.join(releaseDir, fileName));
+
+        const updates = { fileName, sha256: hash.digest('hex'), size, uploadedAt: new Date().toISOString() };
+        await releasesCollection.update(release.id, updates);
+        return { release: { ...release, ...updates } };
+    }
+
+    function sign(secret, releaseId, userId, expires) {
+        return crypto.createHmac('sha256', secret).update(`${releaseId}:${userId}:${expires}`).digest('base64url');
+    }
+
+    // Relative URL that downloads the release for this user until it expires
+    async function createDownloadUrl(release, user) {
+        const expires = Math.floor((Date.now() + DOWNLOAD_URL_TTL_MS) / 1000);
+        const signature = sign(await getSigningSecret(), release.id, user.id, expires);
+        const query = new URLSearchParams({ uid: user.id, expires: String(expires), sig: signature });
+
+        return {
+            url: `/api/releases/${encodeURIComponent(release.id)}/download?${query}`,
+            expiresAt: new Date(expires * 1000).toISOString()
+        };
+    }
+
+    // The user id the URL was issued to, or null if it is forged or expired
+    async function verifyDownload(releaseId, { uid, expires, sig }) {
+        if (!uid || !expires || !sig || Number(expires) * 1000 < Date.now()) return null;
+
+        const expected = Buffer.from(sign(await getSigningSecret(), releaseId, uid, expires));
+        const given = Buffer.from(String(sig));
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+        return uid;
+    }
+
+    return {
+        list,
+        get,
+        latest,
+        create,
+        update,
+        storeFile,
+        getFilePath,
+        createDownloadUrl,
+        verifyDownload
+    };
+}
+
+module.exports = {
+    CHANNELS,
+    isValidVersion,
+    compareVersions,
+    createReleaseService
+};
@@ -0,0 +1,16 @@
+// User roles, from least to most privileged
+const ROLES = ['user', 'support', 'admin'];
+
+// Roles allowed into the admin panel
+const STAFF_ROLES = ['support', 'admin'];
+
+// Records created before roles existed have no role field
+function getRole(user) {
+    return (user && user.role) || 'user';
+}
+
+module.exports = {
+    ROLES,
+    STAFF_ROLES,
+    getRole
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+// TOTP (RFC 6238) for dashboard/admin two-factor authentication
+// SHA-1, 6 digits, 30 second steps - the defaults every authenticator app understands.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'CURSED';
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Accepts codes from one step either side for clock drift. Returns the matched step, or null.
+// Callers store the step and pass it back as lastUsedStep so a code can't be replayed.
+function verifyCode(secret, code, { lastUsedStep = -1, window = 1 } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const step = currentStep();
+    for (let candidate = step - window; candidate <= step + window; candidate++) {
+        if (candidate <= lastUsedStep) continue;
+        const expected = generateCode(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+function buildOtpAuthUri(secret, username) {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+// Returns { codes, hashes } - show codes once, store only the hashes
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+    generateSecret,
+    verifyCode,
+    buildOtpAuthUri,
+    hashRecoveryCode,
+    generateRecoveryCodes
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Free trial bookkeeping - one trial per account, and one per machine so fresh accounts
+// can't farm them. Machines that ran a trial are kept in trialDevices under a hash of the HWID.
+
+function hashHwid(hwid) {
+    return crypto.createHash('sha256').update(String(hwid)).digest('hex');
+}
+
+function createTrials({ store }) {
+    const trialDevicesCollection = store.collection('trialDevices');
+
+    // Returns { eligible, reason }. hwids are the machines the account has activated.
+    async function checkEligibility(user, hwids) {
+        if (user.trialUsedAt) {
+            return { eligible: false, reason: 'This account has already used its free trial' };
+        }
+
+        for (const hwid of hwids) {
+            const device = await trialDevicesCollection.get(hashHwid(hwid));
+            if (device && device.userId !== user.id) {
+                return { eligible: false, reason: 'A free trial has already been used on one of your devices' };
+            }
+        }
+        return { eligible: true };
+    }
+
+    // Tie a machine to this account's trial. Returns false when another account's trial
+    // already ran on it. create() only succeeds for the first account to claim the machine.
+    async function claimDevice(user, hwid) {
+        const id = hashHwid(hwid);
+        const created = await trialDevicesCollection.create(id, {
+            userId: user.id,
+            username: user.username,
+            claimedAt: new Date().toISOString()
+        });
+        if (created) return true;
+
+        const device = await trialDevicesCollection.get(id);
+        return device?.userId === user.id;
+    }
+
+    return {
+        checkEligibility,
+        claimDevice
+    };
+}
+
+module.exports = { createTrials };
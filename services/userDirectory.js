@@ -0,0 +1,117 @@
+const { getDevices } = require('./devices');
+
+// Paged, filtered listing of user accounts for the staff panel
+// Most filters are store queries. "HWID locked" depends on the devices array (and the
+// legacy hwid field), which can't be queried, so it is applied here while scanning.
+// On Firestore each filter/sort combination needs a composite index - the first query
+// fails with a link that creates it.
+
+const SORT_FIELDS = {
+    createdAt: 'createdAt',
+    lastLogin: 'lastLogin',
+    username: 'username',
+    status: 'subscription.status',
+    package: 'subscription.package',
+    periodEnd: 'subscription.currentPeriodEnd'
+};
+
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+const SCAN_BATCH_SIZE = 200;
+
+// Cursors are opaque to callers: the sort they belong to plus the last row's sort values
+function encodeCursor(sort, order, values) {
+    return Buffer.from(JSON.stringify({ sort, order, values })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (decoded.sort !== sort || decoded.order !== order || !Array.isArray(decoded.values)) return null;
+        return decoded.values;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getField(doc, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function isHwidLocked(user) {
+    return getDevices(user).length > 0;
+}
+
+function createUserDirectory({ store }) {
+    const usersCollection = store.collection('users');
+
+    // filters: { search, status, package, hwidLocked, lastLoginFrom, lastLoginTo, sort, order, cursor, limit }
+    // search is a case-sensitive username prefix. Returns { users, nextCursor }, or throws
+    // an error with code 'INVALID_CURSOR' when the cursor doesn't belong to this sort.
+    async function list({
+        search, status, package: packageId, hwidLocked, lastLoginFrom, lastLoginTo,
+        sort = 'createdAt', order = 'desc', cursor, limit = 50
+    } = {}) {
+        const where = [];
+        if (search) {
+            where.push(['username', '>=', search]);
+            where.push(['username', '<', `${search}\uf8ff`]);
+        }
+        if (status) where.push(['subscription.status', '==', status]);
+        if (packageId) where.push(['subscription.package', '==', packageId]);
+        if (lastLoginFrom) where.push(['lastLogin', '>=', new Date(lastLoginFrom).toISOString()]);
+        if (lastLoginTo) where.push(['lastLogin', '<=', new Date(lastLoginTo).toISOString()]);
+
+        // Usernames are unique, so they break ties and keep cursors stable
+        const sortField = SORT_FIELDS[sort];
+        const orderBy = [[sortField, order]];
+        if (sortField !== 'username') orderBy.push(['username', order]);
+
+        let startAfter;
+        if (cursor) {
+            startAfter = decodeCursor(cursor, sort, order);
+            if (!startAfter) {
+                const error = new Error('Invalid cursor');
+                error.code = 'INVALID_CURSOR';
+                throw error;
+            }
+        }
+
+        const users = [];
+        let exhausted = false;
+        while (users.length < limit) {
+            const batchSize = hwidLocked === undefined ? limit - users.length : SCAN_BATCH_SIZE;
+            const batch = await usersCollection.find({ where, orderBy, startAfter, limit: batchSize });
+
+            let scanned = 0;
+            for (const user of batch) {
+                scanned++;
+                startAfter = orderBy.map(([field]) => getField(user, field) ?? null);
+                if (hwidLocked === undefined || isHwidLocked(user) === hwidLocked) {
+                    users.push(user);
+                    if (users.length === limit) break;
+                }
+            }
+
+            // A short batch that was read to the end means there is nothing after it
+            if (batch.length < batchSize && scanned === batch.length) {
+                exhausted = true;
+                break;
+            }
+        }
+
+        return {
+            users,
+            nextCursor: exhausted || !startAfter ? null : encodeCursor(sort, order, startAfter)
+        };
+    }
+
+    return { list };
+}
+
+module.exports = {
+    createUserDirectory,
+    SORT_FIELDS,
+    MAX_PAGE_SIZE,
+    MAX_EXPORT_ROWS
+};
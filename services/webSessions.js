@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const session = require('express-session');
+
+// express-session store kept in the same storage as user data, so dashboard logins survive a
+// restart and are shared by every server instance. As with client sessions only a hash of the
+// session id is stored, and the hash is the record id the dashboard uses to revoke a session.
+// Records carry the user, IP and user agent so an account's logins can be listed.
+
+// Every request touches its session; last activity is only written this often
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_BATCH_SIZE = 500;
+
+function hashSessionId(sid) {
+    return crypto.createHash('sha256').update(String(sid)).digest('hex');
+}
+
+// "Chrome on Windows" - enough to recognise a login, not a full user agent parser
+function describeUserAgent(userAgent) {
+    const ua = String(userAgent || '');
+    const browser = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Firefox', /Firefox\//],
+        ['Chrome', /Chrome\//],
+        ['Safari', /Safari\//]
+    ].find(([, pattern]) => pattern.test(ua));
+    const os = [
+        ['Windows', /Windows/],
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad/],
+        ['macOS', /Mac OS X/],
+        ['Linux', /Linux/]
+    ].find(([, pattern]) => pattern.test(ua));
+
+    if (!browser && !os) return 'Unknown device';
+    return [browser?.[0] || 'Browser', os && `on ${os[0]}`].filter(Boolean).join(' ');
+}
+
+function getExpiry(sess) {
+    const expires = sess.cookie?.expires;
+    return expires ? new Date(expires).toISOString() : new Date(Date.now() + DEFAULT_TTL_MS).toISOString();
+}
+
+function toSummary(record) {
+    return {
+        id: record.id,
+        device: describeUserAgent(record.userAgent),
+        userAgent: record.userAgent,
+        ip: record.ip,
+        createdAt: record.createdAt,
+        lastActiveAt: record.lastActiveAt,
+        expiresAt: record.expiresAt
+    };
+}
+
+// Node-style callback for express-session from a promise
+function settle(promise, callback) {
+    promise.then(result => callback && callback(null, result), error => callback && callback(error));
+}
+
+class StorageSessionStore extends session.Store {
+    constructor({ store }) {
+        super();
+        this.sessionsCollection = store.collection('webSessions');
+    }
+
+    get(sid, callback) {
+        settle((async () => {
+            const record = await this.sessionsCollection.get(hashSessionId(sid));
+            if (!record) return null;
+
+            if (new Date(record.expiresAt) <= new Date()) {
+                await this.sessionsCollection.delete(record.id);
+                return null;
+            }
+            return { ...JSON.parse(record.data), lastActiveAt: record.lastActiveAt };
+        })(), callback);
+    }
+
+    set(sid, sess, callback) {
+        settle((async () => {
+            const id = hashSessionId(sid);
+            const { lastActiveAt, ...data } = sess;
+            const now = new Date().toISOString();
+            const fields = {
+                userId: data.userId || null,
+                username: data.username || null,
+                ip: data.ip || null,
+                userAgent: data.userAgent || null,
+                data: JSON.stringify(data),
+                lastActiveAt: now,
+                expiresAt: getExpiry(sess)
+            };
+
+            // Only sessions read from the store carry lastActiveAt. If one's record is gone it was
+            // revoked while this request was running, and saving it must not bring it back.
+            if (lastActiveAt) {
+                await this.sessionsCollection.updateIf(id, [], fields);
+                return;
+            }
+
+            const existing = await this.sessionsCollection.get(id);
+            await this.sessionsCollection.set(id, { ...fields, createdAt: existing?.createdAt || now });
+        })(), callback);
+    }
+
+    touch(sid, sess, callback) {
+        if (sess.lastActiveAt && Date.now() - new Date(sess.lastActiveAt).getTime() < ACTIVITY_WRITE_INTERVAL_MS) {
+            return callback && callback();
+        }
+
+        // A session revoked while this request was running stays revoked
+        settle(this.sessionsCollection.updateIf(hashSessionId(sid), [], {
+            lastActiveAt: new Date().toISOString(),
+            expiresAt: getExpiry(sess)
+        }), callback);
+    }
+
+    destroy(sid, callback) {
+        settle(this.sessionsCollection.delete(hashSessionId(sid)), callback);
+    }
+
+    // ---- Session management (not part of the express-session Store interface) ----
+
+    // A user's live sessions, most recently active first
+    async listForUser(userId) {
+        const records = await this.sessionsCollection.find({ where: [['userId', '==', userId]] });
+        const now = new Date();
+        return records
+            .filter(record => new Date(record.expiresAt) > now)
+            .sort((a, b) => b.lastActiveAt.localeCompare(a.lastActiveAt))
+            .map(toSummary);
+    }
+
+    // Revoke one of the user's sessions by record id. Returns false when it isn't theirs.
+    async revoke(userId, id) {
+        const record = await this.sessionsCollection.get(id);
+        if (!record || record.userId !== userId) return false;
+
+        await this.sessionsCollection.delete(id);
+        return true;
+    }
+
+    // Revoke every session of the user, except the one with record id `except`. Returns the count.
+    async revokeAll(userId, { except = null } = {}) {
+        const records = await this.sessionsCollection.find({ where: [['userId', '==', userId]] });
+        const revoked = records.filter(record => record.id !== except);
+        for (const record of revoked) {
+            await this.sessionsCollection.delete(record.id);
+        }
+        return revoked.length;
+    }
+
+    // Delete expired records - get() ignores them anyway, this keeps the collection small
+    async pruneExpired() {
+        let pruned = 0;
+        while (true) {
+            const expired = await this.sessionsCollection.find({
+                where: [['expiresAt', '<', new Date().toISOString()]],
+                limit: PRUNE_BATCH_SIZE
+            });
+            for (const record of expired) {
+                await this.sessionsCollection.delete(record.id);
+            }
+            pruned += expired.length;
+            if (expired.length < PRUNE_BATCH_SIZE) return pruned;
+        }
+    }
+}
+
+function createWebSessionStore({ store }) {
+    return new StorageSessionStore({ store });
+}
+
+module.exports = {
+    createWebSessionStore,
+    hashSessionId,
+    describeUserAgent
+};
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+
+// Outbound webhooks: admins register HTTP endpoints for license and account events, and each
+// event is POSTed to every subscribed endpoint as JSON. The body is signed with the endpoint's
+// secret - X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+// Every send is kept in webhookDeliveries; failed ones are retried with backoff by
+// processDue() and can be resent by hand.
+
+const EVENTS = ['user.signup', 'license.activated', 'license.cancelled', 'payment.failed', 'hwid.locked', 'hwid.reset'];
+
+// Sent by "Send test event", whatever the endpoint subscribes to
+const TEST_EVENT = 'webhook.test';
+
+// Wait before each retry; a delivery gives up after the last one
+const RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 6 * 60 * 60, 12 * 60 * 60].map(seconds => seconds * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_HISTORY = 20;
+
+// A send first claims the delivery by moving nextAttemptAt this far ahead. Only one caller's
+// claim succeeds, so overlapping processDue() passes (or server instances) never send the same
+// attempt twice, and a send cut short by a crash is picked up again once the claim runs out.
+const CLAIM_LEASE_MS = REQUEST_TIMEOUT_MS + 60 * 1000;
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function validateUrl(input) {
+    let url;
+    try {
+        url = new URL(String(input || ''));
+    } catch (error) {
+        return null;
+    }
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+}
+
+// Endpoints leave this service without their signing secret
+function withoutSecret({ secret, ...endpoint }) {
+    return endpoint;
+}
+
+function createWebhookService({ store }) {
+    const endpointsCollection = store.collection('webhookEndpoints');
+    const deliveriesCollection = store.collection('webhookDeliveries');
+
+    async function listEndpoints() {
+        const endpoints = await endpointsCollection.find({ orderBy: [['createdAt', 'desc']] });
+        return endpoints.map(withoutSecret);
+    }
+
+    async function getEndpoint(id) {
+        const endpoint = await endpointsCollection.get(id);
+        return endpoint && withoutSecret(endpoint);
+    }
+
+    function validate({ url, events }) {
+        if (url !== undefined && !validateUrl(url)) {
+            return 'URL must be an http:// or https:// address';
+        }
+        if (events !== undefined && (!Array.isArray(events) || !events.length || events.some(event => !EVENTS.includes(event)))) {
+            return `Events must be one or more of: ${EVENTS.join(', ')}`;
+        }
+        return null;
+    }
+
+    // input: { url, events, description }
+    // Returns { error } or { endpoint, secret } - the signing secret is only returned here
+    async function createEndpoint(input, actor) {
+        const error = validate({ url: input.url, events: input.events ?? [] });
+        if (error) return { error };
+
+        const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+        const endpoint = await endpointsCollection.add({
+            url: validateUrl(input.url),
+            events: [...new Set(input.events)],
+            description: String(input.description || '').trim().slice(0, 200),
+            secret,
+            active: true,
+            createdAt: new Date().toISOString(),
+            createdBy: actor.username
+        });
+        return { endpoint: withoutSecret(endpoint), secret };
+    }
+
+    // Change url, events, description or active. Returns { error } or { endpoint }
+    async function updateEndpoint(endpoint, { url, events, description, active }) {
+        const error = validate({ url, events });
+        if (error) return { error };
+
+        const updates = {};
+        if (url !== undefined) updates.url = validateUrl(url);
+        if (events !== undefined) updates.events = [...new Set(events)];
+        if (description !== undefined) updates.description = String(description).trim().slice(0, 200);
+        if (active !== undefined) updates.active = !!active;
+
+        await endpointsCollection.update(endpoint.id, updates);
+        return { endpoint: { ...endpoint, ...updates } };
+    }
+
+    // Deliveries stay in the log; pending ones fail on their next attempt
+    async function deleteEndpoint(endpoint) {
+        await endpointsCollection.delete(endpoint.id);
+    }
+
+    async function listDeliveries({ endpointId, limit = 50 } = {}) {
+        return deliveriesCollection.find({
+            where: endpointId ? [['endpointId', '==', endpointId]] : [],
+            orderBy: [['createdAt', 'desc']],
+            limit
+        });
+    }
+
+    async function getDelivery(id) {
+        return deliveriesCollection.get(id);
+    }
+
+    // The first attempt is made right away by the caller; nextAttemptAt is when processDue()
+    // retries it should that attempt not record an outcome
+    async function queue(endpoint, event) {
+        return deliveriesCollection.add({
+            endpointId: endpoint.id,
+            url: endpoint.url,
+            eventId: event.id,
+            eventType: event.type,
+            payload: JSON.stringify(event),
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date(Date.now() + RETRY_DELAYS_MS[0]).toISOString(),
+            lastStatusCode: null,
+            lastError: null,
+            deliveredAt: null,
+            history: [],
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    function send(delivery) {
+        attempt(delivery.id).catch(error => console.error(`Webhook delivery ${delivery.id} error:`, error));
+    }
+
+    // Queue an event for every active endpoint subscribed to it and start sending.
+    // Returns once the deliveries are recorded, without waiting for the endpoints.
+    async function emit(type, data) {
+        const endpoints = (await endpointsCollection.find({ where: [['active', '==', true]] }))
+            .filter(endpoint => endpoint.events.includes(type));
+        if (!endpoints.length) return 0;
+
+        const event = {
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            type,
+            createdAt: new Date().toISOString(),
+            data
+        };
+        for (const endpoint of endpoints) {
+            send(await queue(endpoint, event));
+        }
+        return endpoints.length;
+    }
+
+    async function sendTest(endpoint, actor) {
+        const delivery = await queue(endpoint, {
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            type: TEST_EVENT,
+            createdAt: new Date().toISOString(),
+            data: { message: `Test event sent by ${actor.username}` }
+        });
+        return attempt(delivery.id);
+    }
+
+    // Take the delivery for one attempt from its current stored state. With dueOnly it is only
+    // taken once its retry time has come. Returns the claimed delivery, or null if it isn't
+    // pending, isn't due or another caller claimed it first.
+    async function claim(id, { dueOnly = false } = {}) {
+        const delivery = await deliveriesCollection.get(id);
+        if (!delivery || delivery.status !== 'pending') return null;
+        if (dueOnly && !(delivery.nextAttemptAt && delivery.nextAttemptAt <= new Date().toISOString())) return null;
+
+        return deliveriesCollection.updateIf(id, [
+            ['status', '==', 'pending'],
+            ['attempts', '==', delivery.attempts],
+            ['nextAttemptAt', '==', delivery.nextAttemptAt]
+        ], {
+            nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS).toISOString()
+        });
+    }
+
+    // POST a claimed delivery once and record the outcome. Returns the updated delivery.
+    async function deliver(delivery) {
+        const endpoint = await endpointsCollection.get(delivery.endpointId);
+        const startedAt = Date.now();
+        const timestamp = Math.floor(startedAt / 1000);
+        let statusCode = null;
+        let error = null;
+
+        if (!endpoint) {
+            error = 'Endpoint was deleted';
+        } else {
+            try {
+                const response = await fetch(endpoint.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'CursedLicenseWebhooks/1.0',
+                        'X-Webhook-Id': delivery.eventId,
+                        'X-Webhook-Event': delivery.eventType,
+                        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(endpoint.secret, timestamp, delivery.payload)}`
+                    },
+                    body: delivery.payload,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+                });
+                statusCode = response.status;
+                if (!response.ok) error = `HTTP ${response.status}`;
+            } catch (requestError) {
+                error = requestError.name === 'TimeoutError' ? 'Timed out' : (requestError.cause?.code || requestError.message);
+            }
+        }
+
+        const attempts = delivery.attempts + 1;
+        const delivered = !error;
+        const givingUp = !delivered && (!endpoint || attempts >= MAX_ATTEMPTS);
+        const updates = {
+            status: delivered ? 'delivered' : (givingUp ? 'failed' : 'pending'),
+            attempts,
+            nextAttemptAt: delivered || givingUp ? null : new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]).toISOString(),
+            lastStatusCode: statusCode,
+            lastError: error,
+            deliveredAt: delivered ? new Date().toISOString() : delivery.deliveredAt,
+            history: [
+                ...delivery.history,
+                { at: new Date(startedAt).toISOString(), statusCode, error, durationMs: Date.now() - startedAt }
+            ].slice(-MAX_HISTORY)
+        };
+
+        await deliveriesCollection.update(delivery.id, updates);
+        if (!delivered) {
+            console.log(`🪝 Webhook ${delivery.eventType} to ${delivery.url} failed (${error})${updates.nextAttemptAt ? ` - retrying at ${updates.nextAttemptAt}` : ''}`);
+        }
+        return { ...delivery, ...updates };
+    }
+
+    // Claim and send a delivery. Returns the updated delivery, or the stored one unchanged
+    // when it couldn't be claimed.
+    async function attempt(id, options) {
+        const delivery = await claim(id, options);
+        return delivery ? deliver(delivery) : deliveriesCollection.get(id);
+    }
+
+    // Resend a delivery now, whatever its status; a failed delivery gets a fresh set of retries
+    async function redeliver(delivery) {
+        const reset = delivery.status === 'failed' ? { attempts: 0 } : {};
+        await deliveriesCollection.update(delivery.id, { status: 'pending', ...reset });
+        return attempt(delivery.id);
+    }
+
+    // Retry pending deliveries whose backoff has passed. Returns how many were attempted.
+    async function processDue() {
+        const pending = await deliveriesCollection.find({ where: [['status', '==', 'pending']] });
+        const now = new Date().toISOString();
+        const due = pending.filter(delivery => delivery.nextAttemptAt && delivery.nextAttemptAt <= now);
+
+        let attempted = 0;
+        for (const { id } of due) {
+            // Each one is re-read and claimed - another pass may have sent it since the query
+            const claimed = await claim(id, { dueOnly: true });
+            if (claimed) {
+                await deliver(claimed);
+                attempted++;
+            }
+        }
+        return attempted;
+    }
+
+    return {
+        listEndpoints,
+        getEndpoint,
+        createEndpoint,
+        updateEndpoint,
+        deleteEndpoint,
+        listDeliveries,
+        getDelivery,
+        emit,
+        sendTest,
+        redeliver,
+        processDue
+    };
+}
+
+module.exports = {
+    EVENTS,
+    signPayload,
+    createWebhookService
+};
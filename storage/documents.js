@@ -0,0 +1,80 @@
+const { isIncrement } = require('./fieldValues');
+
+// Plain-object document helpers shared by the backends: field paths, updates and
+// where-clause matching with Firestore's semantics.
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function getField(doc, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Apply a Firestore-style update: dotted keys address nested fields
+function setField(doc, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    let target = doc;
+    for (const key of keys) {
+        if (target[key] == null || typeof target[key] !== 'object') {
+            target[key] = {};
+        }
+        target = target[key];
+    }
+    target[last] = isIncrement(value) ? (Number(target[last]) || 0) + value.amount : clone(value);
+}
+
+// Arrays and maps compare by value, so a where condition can check that a whole field is unchanged
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    if (typeof a === 'object' && typeof b === 'object') {
+        [a, b] = [JSON.stringify(a), JSON.stringify(b)];
+        if (a === b) return 0;
+    }
+    return a < b ? -1 : 1;
+}
+
+// Same results as Firestore: != skips documents without the field, and not-in also skips null
+function matches(doc, [field, op, value]) {
+    const actual = getField(doc, field);
+    switch (op) {
+        case '==': return compare(actual, value) === 0;
+        case '!=': return actual !== undefined && compare(actual, value) !== 0;
+        case '<': return actual != null && compare(actual, value) < 0;
+        case '<=': return actual != null && compare(actual, value) <= 0;
+        case '>': return actual != null && compare(actual, value) > 0;
+        case '>=': return actual != null && compare(actual, value) >= 0;
+        case 'in': return value.some(v => compare(actual, v) === 0);
+        case 'not-in': return actual != null && !value.some(v => compare(actual, v) === 0);
+        case 'array-contains': return Array.isArray(actual) && actual.some(v => compare(v, value) === 0);
+        default:
+            throw new Error(`Unsupported query operator: ${op}`);
+    }
+}
+
+// True when the document satisfies every where condition
+function matchesAll(doc, where = []) {
+    return where.every(condition => matches(doc, condition));
+}
+
+// The document after an update() - dotted keys and increments applied to a copy
+function applyUpdates(doc, updates) {
+    const result = clone(doc);
+    for (const [field, value] of Object.entries(updates)) {
+        setField(result, field, value);
+    }
+    return result;
+}
+
+module.exports = {
+    clone,
+    getField,
+    setField,
+    compare,
+    matches,
+    matchesAll,
+    applyUpdates
+};
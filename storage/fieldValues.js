@@ -0,0 +1,17 @@
+// Backend-neutral field transforms for collection.update()
+// Each storage backend translates these into its own native operation.
+
+const INCREMENT = Symbol('increment');
+
+function increment(amount = 1) {
+    return { [INCREMENT]: true, amount };
+}
+
+function isIncrement(value) {
+    return !!value && typeof value === 'object' && value[INCREMENT] === true;
+}
+
+module.exports = {
+    increment,
+    isIncrement
+};
@@ -0,0 +1,122 @@
+const admin = require('firebase-admin');
+const { isIncrement } = require('./fieldValues');
+const { matchesAll, applyUpdates } = require('./documents');
+
+// gRPC status Firestore returns when create() finds the document already there
+const ALREADY_EXISTS = 6;
+
+// Firestore backend - the production store
+function createFirestoreStore() {
+    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
+
+    admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount)
+    });
+
+    const db = admin.firestore();
+
+    function toDoc(doc) {
+        return { id: doc.id, ...doc.data() };
+    }
+
+    // Translate backend-neutral field values into Firestore FieldValues
+    function translate(updates) {
+        const translated = {};
+        for (const [key, value] of Object.entries(updates)) {
+            translated[key] = isIncrement(value)
+                ? admin.firestore.FieldValue.increment(value.amount)
+                : value;
+        }
+        return translated;
+    }
+
+    // Queries address the document id as the field 'id', like the { id, ...data } results
+    function toFieldPath(field) {
+        return field === 'id' ? admin.firestore.FieldPath.documentId() : field;
+    }
+
+    function collection(name) {
+        const ref = db.collection(name);
+
+        function buildQuery({ where = [], orderBy = [], startAfter, limit } = {}) {
+            let query = ref;
+            for (const [field, op, value] of where) {
+                query = query.where(toFieldPath(field), op, value);
+            }
+            for (const [field, direction = 'asc'] of orderBy) {
+                query = query.orderBy(toFieldPath(field), direction);
+            }
+            if (startAfter) {
+                query = query.startAfter(...startAfter);
+            }
+            if (limit) {
+                query = query.limit(limit);
+            }
+            return query;
+        }
+
+        return {
+            async get(id) {
+                const doc = await ref.doc(id).get();
+                if (!doc.exists) return null;
+                return toDoc(doc);
+            },
+
+            async find(options) {
+                const snapshot = await buildQuery(options).get();
+                return snapshot.docs.map(toDoc);
+            },
+
+            async findOne(where) {
+                const snapshot = await buildQuery({ where, limit: 1 }).get();
+                if (snapshot.empty) return null;
+                return toDoc(snapshot.docs[0]);
+            },
+
+            async add(data) {
+                const docRef = await ref.add(data);
+                return { id: docRef.id, ...data };
+            },
+
+            async create(id, data) {
+                try {
+                    await ref.doc(id).create(data);
+                } catch (error) {
+                    if (error.code === ALREADY_EXISTS) return null;
+                    throw error;
+                }
+                return { id, ...data };
+            },
+
+            async set(id, data) {
+                await ref.doc(id).set(data);
+                return { id, ...data };
+            },
+
+            async update(id, updates) {
+                await ref.doc(id).update(translate(updates));
+            },
+
+            async updateIf(id, where, updates) {
+                const docRef = ref.doc(id);
+                return db.runTransaction(async transaction => {
+                    const doc = await transaction.get(docRef);
+                    if (!doc.exists || !matchesAll(doc.data(), where)) return null;
+                    transaction.update(docRef, translate(updates));
+                    return { id, ...applyUpdates(doc.data(), updates) };
+                });
+            },
+
+            async delete(id) {
+                await ref.doc(id).delete();
+            }
+        };
+    }
+
+    return {
+        name: 'firestore',
+        collection
+    };
+}
+
+module.exports = { createFirestoreStore };
@@ -0,0 +1,32 @@
+const path = require('path');
+const { increment } = require('./fieldValues');
+
+// Storage adapter layer
+// Every backend exposes collection(name) with the same methods:
+//   get(id), find({ where, orderBy, startAfter, limit }), findOne(where),
+//   add(data), set(id, data), update(id, updates), delete(id)
+// and two atomic writes for limits and one-time claims:
+//   create(id, data) - returns null instead of overwriting an existing document
+//   updateIf(id, where, updates) - applies the update only while the document matches
+//     every where condition; returns the updated document, or null if it didn't match
+// Documents are returned as plain objects: { id, ...data }, and where/orderBy can use 'id'
+// for the document id (e.g. to break ties between equal sort values)
+function createStore(backend = process.env.STORAGE_BACKEND || 'firestore') {
+    switch (backend) {
+        case 'firestore':
+            return require('./firestore').createFirestoreStore();
+
+        case 'local':
+            return require('./local').createLocalStore({
+                file: process.env.LOCAL_DB_PATH || path.join(__dirname, '..', 'data', 'db.json')
+            });
+
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "firestore" or "local")`);
+    }
+}
+
+module.exports = {
+    createStore,
+    increment
+};
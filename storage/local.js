@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { clone, getField, setField, compare, matchesAll, applyUpdates } = require('./documents');
+
+// Local JSON file backend - lets the server run offline without a Firebase service account.
+// The whole database is kept in memory and written back to disk after every change.
+// It is reloaded when the file changes underneath us (e.g. scripts/set-role.js run against a live server).
+function createLocalStore({ file }) {
+    const filePath = path.resolve(file);
+    let data = {};
+    let loadedMtime = null;
+
+    function reloadIfChanged() {
+        if (!fs.existsSync(filePath)) return;
+        const { mtimeMs } = fs.statSync(filePath);
+        if (mtimeMs === loadedMtime) return;
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}');
+        loadedMtime = mtimeMs;
+    }
+
+    function persist() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, filePath);
+        loadedMtime = fs.statSync(filePath).mtimeMs;
+    }
+
+    reloadIfChanged();
+
+    function collection(name) {
+        function docs() {
+            reloadIfChanged();
+            if (!data[name]) data[name] = {};
+            return data[name];
+        }
+
+        return {
+            async get(id) {
+                const doc = docs()[id];
+                if (!doc) return null;
+                return { id, ...clone(doc) };
+            },
+
+            async find({ where = [], orderBy = [], startAfter, limit } = {}) {
+                const all = docs();
+                let results = Object.keys(all)
+                    .map(id => ({ id, ...clone(all[id]) }))
+                    .filter(doc => matchesAll(doc, where));
+
+                // Unlike Firestore, orderBy keeps documents without the field (sorted first)
+                if (orderBy.length) {
+                    const sortDoc = (a, b) => {
+                        for (const [field, direction = 'asc'] of orderBy) {
+                            const result = compare(getField(a, field), getField(b, field));
+                            if (result !== 0) return direction === 'desc' ? -result : result;
+                        }
+                        return 0;
+                    };
+                    results.sort(sortDoc);
+
+                    if (startAfter) {
+                        const cursor = {};
+                        orderBy.forEach(([field], i) => setField(cursor, field, startAfter[i]));
+                        results = results.filter(doc => sortDoc(doc, cursor) > 0);
+                    }
+                }
+
+                return limit ? results.slice(0, limit) : results;
+            },
+
+            async findOne(where) {
+                const [doc] = await this.find({ where, limit: 1 });
+                return doc || null;
+            },
+
+            async add(doc) {
+                const id = crypto.randomBytes(10).toString('hex');
+                docs()[id] = clone(doc);
+                persist();
+                return { id, ...clone(doc) };
+            },
+
+            // Nothing else runs between the check and the write, so these two are atomic
+            async create(id, doc) {
+                if (docs()[id]) return null;
+                return this.set(id, doc);
+            },
+
+            async set(id, doc) {
+                docs()[id] = clone(doc);
+                persist();
+                return { id, ...clone(doc) };
+            },
+
+            async update(id, updates) {
+                const doc = docs()[id];
+                if (!doc) {
+                    throw new Error(`No document to update: ${name}/${id}`);
+                }
+                for (const [field, value] of Object.entries(updates)) {
+                    setField(doc, field, value);
+                }
+                persist();
+            },
+
+            async updateIf(id, where, updates) {
+                const doc = docs()[id];
+                if (!doc || !matchesAll(doc, where)) return null;
+                docs()[id] = applyUpdates(doc, updates);
+                persist();
+                return { id, ...clone(docs()[id]) };
+            },
+
+            async delete(id) {
+                delete docs()[id];
+                persist();
+            }
+        };
+    }
+
+    return {
+        name: 'local',
+        collection
+    };
+}
+
+module.exports = { createLocalStore };
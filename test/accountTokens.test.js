@@ -0,0 +1,28 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStore } = require('../storage/local');
+const { createAccountTokenService } = require('../services/accountTokens');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursed-tokens-'));
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('a token can only be consumed once, even by concurrent requests', async () => {
+    const accountTokens = createAccountTokenService({ store: createLocalStore({ file: path.join(tmpDir, 'db.json') }) });
+    const token = await accountTokens.issue({ id: 'u1' }, 'password_reset');
+
+    const results = await Promise.all([
+        accountTokens.consume(token, 'password_reset'),
+        accountTokens.consume(token, 'password_reset')
+    ]);
+
+    assert.strictEqual(results.filter(Boolean).length, 1);
+    assert.strictEqual(results.find(Boolean).userId, 'u1');
+    assert.strictEqual(await accountTokens.find(token, 'password_reset'), null);
+    assert.strictEqual(await accountTokens.consume(token, 'password_reset'), null);
+});
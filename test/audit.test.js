@@ -0,0 +1,39 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStore } = require('../storage/local');
+const { createAuditLog } = require('../services/audit');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursed-audit-'));
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('pages through entries that share a timestamp without skipping or repeating', async () => {
+    const store = createLocalStore({ file: path.join(tmpDir, 'db.json') });
+    const entries = store.collection('auditLog');
+    const createdAt = new Date().toISOString();
+    for (let i = 0; i < 7; i++) {
+        await entries.add({ type: 'web.login', createdAt });
+    }
+
+    const audit = createAuditLog({ store });
+    const seen = [];
+    let cursor;
+    do {
+        const page = await audit.query({ cursor, limit: 3 });
+        seen.push(...page.entries.map(entry => entry.id));
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.strictEqual(seen.length, 7);
+    assert.strictEqual(new Set(seen).size, 7);
+});
+
+test('rejects cursors it did not hand out', async () => {
+    const audit = createAuditLog({ store: createLocalStore({ file: path.join(tmpDir, 'other.json') }) });
+    await assert.rejects(audit.query({ cursor: new Date().toISOString() }), error => error.code === 'INVALID_CURSOR');
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { toCsv } = require('../services/csv');
+
+const columns = [{ header: 'value', value: row => row }];
+
+function cell(value) {
+    return toCsv([value], columns).split('\r\n')[1];
+}
+
+test('quotes values with commas, quotes and line breaks', () => {
+    assert.strictEqual(cell('a,b'), '"a,b"');
+    assert.strictEqual(cell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(cell(null), '');
+    assert.strictEqual(cell({ a: 1 }), '"{""a"":1}"');
+});
+
+test('prefixes text that a spreadsheet would run as a formula', () => {
+    assert.strictEqual(cell('=HYPERLINK("http://evil")'), '"\'=HYPERLINK(""http://evil"")"');
+    assert.strictEqual(cell('+1'), "'+1");
+    assert.strictEqual(cell('-1+2'), "'-1+2");
+    assert.strictEqual(cell('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(cell('\tcmd'), "'\tcmd");
+    assert.strictEqual(cell('\rcmd'), '"\'\rcmd"');
+    assert.strictEqual(cell('alice'), 'alice');
+});
+
+test('leaves numbers alone', () => {
+    assert.strictEqual(cell(-5), '-5');
+});
+
+// The user export writes client-supplied HWIDs and emails straight into cells
+test('neutralises formulas in user export rows', () => {
+    const user = { username: 'alice', email: '@evil.example', devices: [{ hwid: '=cmd|"/c calc"!A1' }, { hwid: 'PC-2' }] };
+    const csv = toCsv([user], [
+        { header: 'username', value: row => row.username },
+        { header: 'email', value: row => row.email },
+        { header: 'devices', value: row => row.devices.map(device => device.hwid).join(' ') }
+    ]);
+    assert.strictEqual(csv.split('\r\n')[1], 'alice,\'@evil.example,"\'=cmd|""/c calc""!A1 PC-2"');
+});
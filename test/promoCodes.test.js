@@ -0,0 +1,60 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStore } = require('../storage/local');
+const { createPromoCodes, getPendingReservations } = require('../services/promoCodes');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursed-promo-'));
+let fileCount = 0;
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function setup(input = {}) {
+    const promoCodes = createPromoCodes({ store: createLocalStore({ file: path.join(tmpDir, `db-${++fileCount}.json`) }) });
+    const { promoCode } = await promoCodes.create({ code: 'SAVE10', type: 'percent', value: 10, maxRedemptions: 2, ...input }, { username: 'admin' });
+    return { promoCodes, promoCode };
+}
+
+test('concurrent checkouts cannot reserve past the cap', async () => {
+    const { promoCodes, promoCode } = await setup();
+    const results = await Promise.all([1, 2, 3].map(() => promoCodes.reserve(promoCode)));
+
+    assert.strictEqual(results.filter(result => result.reservationId).length, 2);
+    assert.strictEqual(results.filter(result => result.error).length, 1);
+    assert.match((await promoCodes.validate('save10', { id: 'monthly' })).error, /fully redeemed/);
+});
+
+test('a completed checkout turns its reservation into one redemption', async () => {
+    const { promoCodes, promoCode } = await setup();
+    const { reservationId } = await promoCodes.reserve(promoCode);
+
+    assert.strictEqual(await promoCodes.recordRedemption(promoCode.id, reservationId), true);
+    assert.strictEqual(await promoCodes.recordRedemption(promoCode.id, reservationId), false);
+
+    const stored = await promoCodes.get(promoCode.id);
+    assert.strictEqual(stored.redemptionCount, 1);
+    assert.deepStrictEqual(getPendingReservations(stored), {});
+});
+
+test('released and expired reservations free their use', async () => {
+    const { promoCodes, promoCode } = await setup({ maxRedemptions: 1 });
+    const { reservationId } = await promoCodes.reserve(promoCode);
+    assert.ok((await promoCodes.reserve(await promoCodes.get(promoCode.id))).error);
+
+    await promoCodes.release(promoCode.id, reservationId);
+    const later = await promoCodes.reserve(await promoCodes.get(promoCode.id));
+    assert.ok(later.reservationId);
+
+    const afterExpiry = new Date(new Date(later.expiresAt).getTime() + 1000);
+    assert.ok((await promoCodes.reserve(await promoCodes.get(promoCode.id), afterExpiry)).reservationId);
+});
+
+test('deactivated codes cannot be reserved', async () => {
+    const { promoCodes, promoCode } = await setup();
+    await promoCodes.deactivate(promoCode, { username: 'admin' });
+    assert.match((await promoCodes.reserve(promoCode)).error, /no longer valid/);
+});
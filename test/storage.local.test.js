@@ -0,0 +1,160 @@
+const { test, describe, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStore } = require('../storage/local');
+const { increment } = require('../storage');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursed-store-'));
+let fileCount = 0;
+
+function newStore() {
+    return createLocalStore({ file: path.join(tmpDir, `db-${++fileCount}.json`) });
+}
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('local store', () => {
+    let users;
+
+    beforeEach(async () => {
+        users = newStore().collection('users');
+        await users.set('a', { name: 'alice', age: 30, role: 'admin', tags: ['x', 'y'], profile: { country: 'DE' } });
+        await users.set('b', { name: 'bob', age: 25, role: 'user', tags: ['y'], profile: { country: 'US' } });
+        await users.set('c', { name: 'carol', age: 35, role: null, tags: [] });
+        await users.set('d', { name: 'dave', tags: ['x'] });
+    });
+
+    async function ids(query) {
+        return (await users.find(query)).map(doc => doc.id).sort();
+    }
+
+    describe('where operators', () => {
+        test('==', async () => {
+            assert.deepStrictEqual(await ids({ where: [['role', '==', 'user']] }), ['b']);
+            assert.deepStrictEqual(await ids({ where: [['role', '==', null]] }), ['c']);
+            assert.deepStrictEqual(await ids({ where: [['profile.country', '==', 'DE']] }), ['a']);
+        });
+
+        test('!= skips documents without the field, like Firestore', async () => {
+            assert.deepStrictEqual(await ids({ where: [['role', '!=', 'user']] }), ['a', 'c']);
+            assert.deepStrictEqual(await ids({ where: [['role', '!=', null]] }), ['a', 'b']);
+        });
+
+        test('range operators skip missing and null values', async () => {
+            assert.deepStrictEqual(await ids({ where: [['age', '<', 30]] }), ['b']);
+            assert.deepStrictEqual(await ids({ where: [['age', '<=', 30]] }), ['a', 'b']);
+            assert.deepStrictEqual(await ids({ where: [['age', '>', 30]] }), ['c']);
+            assert.deepStrictEqual(await ids({ where: [['age', '>=', 30]] }), ['a', 'c']);
+            assert.deepStrictEqual(await ids({ where: [['age', '>=', 25], ['age', '<', 35]] }), ['a', 'b']);
+        });
+
+        test('in', async () => {
+            assert.deepStrictEqual(await ids({ where: [['name', 'in', ['alice', 'dave', 'eve']]] }), ['a', 'd']);
+        });
+
+        test('not-in skips missing and null values, like Firestore', async () => {
+            assert.deepStrictEqual(await ids({ where: [['role', 'not-in', ['admin']]] }), ['b']);
+        });
+
+        test('array-contains', async () => {
+            assert.deepStrictEqual(await ids({ where: [['tags', 'array-contains', 'x']] }), ['a', 'd']);
+            assert.deepStrictEqual(await ids({ where: [['name', 'array-contains', 'alice']] }), []);
+        });
+
+        test('unknown operators throw', async () => {
+            await assert.rejects(users.find({ where: [['age', 'like', 30]] }), /Unsupported query operator/);
+        });
+    });
+
+    describe('ordering and paging', () => {
+        test('orderBy sorts ascending or descending', async () => {
+            const asc = await users.find({ where: [['age', '>', 0]], orderBy: [['age', 'asc']] });
+            assert.deepStrictEqual(asc.map(doc => doc.id), ['b', 'a', 'c']);
+
+            const desc = await users.find({ where: [['age', '>', 0]], orderBy: [['age', 'desc']] });
+            assert.deepStrictEqual(desc.map(doc => doc.id), ['c', 'a', 'b']);
+        });
+
+        test('limit and startAfter page through the results', async () => {
+            const query = { where: [['age', '>', 0]], orderBy: [['age', 'desc']], limit: 2 };
+            const first = await users.find(query);
+            assert.deepStrictEqual(first.map(doc => doc.id), ['c', 'a']);
+
+            const second = await users.find({ ...query, startAfter: [first[1].age] });
+            assert.deepStrictEqual(second.map(doc => doc.id), ['b']);
+        });
+
+        test('startAfter uses every orderBy field as the cursor', async () => {
+            await users.set('e', { name: 'erin', age: 30 });
+            const page = await users.find({ where: [['age', '>', 0]], orderBy: [['age', 'asc'], ['name', 'asc']], startAfter: [30, 'alice'] });
+            assert.deepStrictEqual(page.map(doc => doc.id), ['e', 'c']);
+        });
+
+        test('findOne returns the first match or null', async () => {
+            assert.strictEqual((await users.findOne([['name', '==', 'bob']])).id, 'b');
+            assert.strictEqual(await users.findOne([['name', '==', 'eve']]), null);
+        });
+    });
+
+    describe('writes', () => {
+        test('add generates an id and get returns a copy', async () => {
+            const doc = await users.add({ name: 'eve' });
+            assert.ok(doc.id);
+
+            const fetched = await users.get(doc.id);
+            fetched.name = 'changed';
+            assert.strictEqual((await users.get(doc.id)).name, 'eve');
+        });
+
+        test('update sets dotted paths and applies increments', async () => {
+            await users.update('b', { 'profile.country': 'FR', 'stats.logins': increment(), age: increment(5) });
+            const doc = await users.get('b');
+            assert.strictEqual(doc.profile.country, 'FR');
+            assert.strictEqual(doc.stats.logins, 1);
+            assert.strictEqual(doc.age, 30);
+        });
+
+        test('update of a missing document throws', async () => {
+            await assert.rejects(users.update('missing', { age: 1 }), /No document to update/);
+        });
+
+        test('delete removes the document', async () => {
+            await users.delete('a');
+            assert.strictEqual(await users.get('a'), null);
+        });
+
+        test('create refuses to overwrite an existing document', async () => {
+            assert.deepStrictEqual(await users.create('e', { name: 'erin' }), { id: 'e', name: 'erin' });
+            assert.strictEqual(await users.create('a', { name: 'impostor' }), null);
+            assert.strictEqual((await users.get('a')).name, 'alice');
+        });
+
+        test('updateIf only applies while every condition holds', async () => {
+            const claim = () => users.updateIf('b', [['age', '<', 27]], { age: increment() });
+            const results = await Promise.all([claim(), claim(), claim()]);
+
+            assert.deepStrictEqual(results.map(doc => doc && doc.age), [26, 27, null]);
+            assert.strictEqual((await users.get('b')).age, 27);
+            assert.strictEqual(await users.updateIf('missing', [], { age: 1 }), null);
+        });
+
+        test('updateIf compares arrays and maps by value', async () => {
+            const { tags, profile } = await users.get('a');
+            assert.ok(await users.updateIf('a', [['tags', '==', tags], ['profile', '==', profile]], { tags: ['y'] }));
+            assert.strictEqual(await users.updateIf('a', [['tags', '==', tags]], { tags: [] }), null);
+            assert.deepStrictEqual((await users.get('a')).tags, ['y']);
+        });
+
+        test('changes are persisted to the file', async () => {
+            const file = path.join(tmpDir, 'persisted.json');
+            await createLocalStore({ file }).collection('users').set('x', { name: 'xavier' });
+
+            const reopened = createLocalStore({ file }).collection('users');
+            assert.deepStrictEqual(await reopened.get('x'), { id: 'x', name: 'xavier' });
+        });
+    });
+});
@@ -0,0 +1,28 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStore } = require('../storage/local');
+const { createTrials } = require('../services/trials');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursed-trials-'));
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('only one of two accounts claiming a machine at once gets its trial', async () => {
+    const trials = createTrials({ store: createLocalStore({ file: path.join(tmpDir, 'db.json') }) });
+    const alice = { id: 'u1', username: 'alice' };
+    const bob = { id: 'u2', username: 'bob' };
+
+    const results = await Promise.all([trials.claimDevice(alice, 'HWID-1'), trials.claimDevice(bob, 'HWID-1')]);
+    assert.deepStrictEqual(results, [true, false]);
+
+    assert.strictEqual(await trials.claimDevice(alice, 'HWID-1'), true);
+    assert.deepStrictEqual(await trials.checkEligibility({ id: 'u2' }, ['HWID-1']), {
+        eligible: false,
+        reason: 'A free trial has already been used on one of your devices'
+    });
+});
@@ -0,0 +1,48 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { createLocalStore } = require('../storage/local');
+const { createWebSessionStore, hashSessionId } = require('../services/webSessions');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursed-sessions-'));
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('saving a session revoked mid-request does not bring it back', async () => {
+    const sessions = createWebSessionStore({ store: createLocalStore({ file: path.join(tmpDir, 'db.json') }) });
+    const get = promisify(sessions.get.bind(sessions));
+    const set = promisify(sessions.set.bind(sessions));
+    const touch = promisify(sessions.touch.bind(sessions));
+    const cookie = { expires: new Date(Date.now() + 60 * 60 * 1000) };
+
+    await set('sid-1', { cookie, userId: 'u1', username: 'alice' });
+    const loaded = await get('sid-1');
+    assert.strictEqual(loaded.userId, 'u1');
+
+    // Signed out from another device while this request was running
+    assert.strictEqual(await sessions.revokeAll('u1'), 1);
+
+    await set('sid-1', { ...loaded, cart: 'changed' });
+    await touch('sid-1', { ...loaded, lastActiveAt: new Date(0).toISOString() });
+    assert.strictEqual(await get('sid-1'), null);
+    assert.deepStrictEqual(await sessions.listForUser('u1'), []);
+});
+
+test('new sessions are created and loaded ones updated', async () => {
+    const sessions = createWebSessionStore({ store: createLocalStore({ file: path.join(tmpDir, 'db2.json') }) });
+    const get = promisify(sessions.get.bind(sessions));
+    const set = promisify(sessions.set.bind(sessions));
+
+    await set('sid-2', { userId: 'u2', username: 'bob' });
+    const loaded = await get('sid-2');
+    await set('sid-2', { ...loaded, theme: 'dark' });
+
+    assert.strictEqual((await get('sid-2')).theme, 'dark');
+    const [summary] = await sessions.listForUser('u2');
+    assert.strictEqual(summary.id, hashSessionId('sid-2'));
+});
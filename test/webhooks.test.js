@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createLocalStore } = require('../storage/local');
+const { createWebhookService } = require('../services/webhooks');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursed-webhooks-'));
+let fileCount = 0;
+let receiver;
+let received = [];
+let receiverUrl;
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            received.push(req.headers['x-webhook-id']);
+            // Answer slowly so overlapping passes really overlap
+            setTimeout(() => res.writeHead(200).end(), 50);
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/`;
+});
+
+after(() => {
+    receiver.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function setup() {
+    received = [];
+    const store = createLocalStore({ file: path.join(tmpDir, `db-${++fileCount}.json`) });
+    const webhooks = createWebhookService({ store });
+    const { endpoint } = await webhooks.createEndpoint({ url: receiverUrl, events: ['user.signup'] }, { username: 'admin' });
+    return { store, webhooks, endpoint };
+}
+
+test('a new delivery is sent once, not again by the next retry pass', async () => {
+    const { webhooks } = await setup();
+    await webhooks.emit('user.signup', { user: { id: 'u1' } });
+
+    assert.strictEqual(await webhooks.processDue(), 0);
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const [delivery] = await webhooks.listDeliveries();
+    assert.strictEqual(delivery.status, 'delivered');
+    assert.strictEqual(delivery.history.length, 1);
+    assert.strictEqual(received.length, 1);
+});
+
+test('overlapping retry passes send a due delivery once', async () => {
+    const { store, webhooks } = await setup();
+    await webhooks.emit('user.signup', { user: { id: 'u1' } });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    // Make it due for a retry again
+    const [delivery] = await webhooks.listDeliveries();
+    await store.collection('webhookDeliveries').update(delivery.id, { status: 'pending', nextAttemptAt: new Date(0).toISOString() });
+    received = [];
+
+    const counts = await Promise.all([webhooks.processDue(), webhooks.processDue(), webhooks.processDue()]);
+    assert.strictEqual(counts.reduce((sum, count) => sum + count, 0), 1);
+    assert.strictEqual(received.length, 1);
+
+    const stored = await webhooks.getDelivery(delivery.id);
+    assert.strictEqual(stored.attempts, 2);
+    assert.strictEqual(stored.history.length, 2);
+});